@@ -0,0 +1,29 @@
+const { processScheduledDeletions } = require('../utils/accountDeletion');
+const { expireLiveLocations } = require('../utils/locationShares');
+const { sendEmailDigests } = require('../utils/emailDigest');
+
+// Background jobs, run in-process on a fixed interval
+const jobs = [
+  { name: 'account-deletion', intervalMs: 60 * 60 * 1000, run: processScheduledDeletions },
+  { name: 'live-location-expiry', intervalMs: 60 * 1000, run: expireLiveLocations },
+  { name: 'email-digest', intervalMs: 60 * 60 * 1000, run: sendEmailDigests }
+];
+
+const startJobs = () => {
+  jobs.forEach(job => {
+    const run = async () => {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      }
+    };
+
+    run();
+    setInterval(run, job.intervalMs).unref();
+  });
+
+  console.log(`⏱️ Started ${jobs.length} background job(s)`);
+};
+
+module.exports = { startJobs };
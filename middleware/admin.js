@@ -0,0 +1,9 @@
+// Must run after the auth middleware, which loads req.user
+const admin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = admin;
@@ -1,32 +1,65 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-const auth = async (req, res, next) => {
+// Authentication failures whose message is safe to send to the client
+class AuthError extends Error {}
+
+// Verify an access token and load its user. Shared by the HTTP middleware
+// and the Socket.IO handshake; throws an AuthError when the token is rejected.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw new AuthError('No token provided, authorization denied');
+  }
+
+  let decoded;
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided, authorization denied' });
-    }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AuthError('Token is not valid');
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
+  // Access tokens are bound to a session that can be revoked remotely
+  const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    throw new AuthError('Session has been revoked');
+  }
 
-    if (!user.isEmailVerified) {
-      return res.status(401).json({ message: 'Email not verified' });
-    }
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new AuthError('Token is not valid');
+  }
+
+  // Tokens issued before a password reset are no longer valid
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AuthError('Password was changed, please log in again');
+  }
+
+  if (!user.isEmailVerified) {
+    throw new AuthError('Email not verified');
+  }
+
+  return { user, userId: decoded.userId, sessionId: decoded.sessionId };
+};
+
+const auth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const { user, userId, sessionId } = await authenticateToken(token);
 
-    req.userId = decoded.userId;
+    req.userId = userId;
+    req.sessionId = sessionId;
     req.user = user;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    if (!(error instanceof AuthError)) {
+      console.error('Auth middleware error:', error);
+    }
+    res.status(401).json({ message: error instanceof AuthError ? error.message : 'Token is not valid' });
   }
 };
 
 module.exports = auth;
+module.exports.authenticateToken = authenticateToken;
+module.exports.AuthError = AuthError;
@@ -1,34 +1,50 @@
 const mongoose = require('mongoose');
 
-const messageSchema = new mongoose.Schema({
-  sender: {
+// Where a participant has received and read up to. One per participant
+// instead of a list on every message, so acknowledging is a single write.
+const readMarkerSchema = new mongoose.Schema({
+  user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  content: {
-    type: String,
-    required: true,
-    maxlength: 1000
+  lastDeliveredMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
   },
-  messageType: {
-    type: String,
-    enum: ['text', 'image', 'location'],
-    default: 'text'
+  // Creation time of lastDeliveredMessage: anything newer is undelivered
+  lastDeliveredAt: {
+    type: Date,
+    default: Date.now
   },
-  readBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
-}, {
-  timestamps: true
-});
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Creation time of lastReadMessage: anything newer is unread
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// How one participant has organised the chat in their inbox. The other
+// participant never sees these.
+const participantSettingsSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  pinnedAt: Date,
+  archivedAt: Date,
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  // When a timed mute ends; unset while muted means muted until turned off
+  mutedUntil: Date
+}, { _id: false });
 
 const chatSchema = new mongoose.Schema({
   participants: [{
@@ -36,7 +52,9 @@ const chatSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   }],
-  messages: [messageSchema],
+  // Messages live in their own collection (see models/Message.js)
+  readMarkers: [readMarkerSchema],
+  participantSettings: [participantSettingsSchema],
   lastMessage: {
     content: String,
     sender: {
@@ -64,4 +82,57 @@ chatSchema.pre('save', function(next) {
   next();
 });
 
+// Move one of a participant's markers ('Read' or 'Delivered') forward to
+// the given message. Returns false if it was already at or past it.
+const advanceMarker = (chat, userId, kind, message) => {
+  let marker = chat.readMarkers.find(m => m.user.toString() === userId.toString());
+  if (!marker) {
+    chat.readMarkers.push({ user: userId });
+    marker = chat.readMarkers[chat.readMarkers.length - 1];
+  }
+
+  if (marker[`last${kind}Message`] && marker[`last${kind}At`] >= message.createdAt) {
+    return false;
+  }
+
+  marker[`last${kind}Message`] = message._id;
+  marker[`last${kind}At`] = message.createdAt;
+  return true;
+};
+
+chatSchema.methods.markDeliveredUpTo = function(userId, message) {
+  return advanceMarker(this, userId, 'Delivered', message);
+};
+
+// Reading a message implies it was delivered
+chatSchema.methods.markReadUpTo = function(userId, message) {
+  const delivered = advanceMarker(this, userId, 'Delivered', message);
+  return advanceMarker(this, userId, 'Read', message) || delivered;
+};
+
+chatSchema.methods.getReadMarker = function(userId) {
+  return this.readMarkers.find(m => m.user.toString() === userId.toString()) || null;
+};
+
+chatSchema.methods.getSettings = function(userId) {
+  return this.participantSettings.find(s => s.user.toString() === userId.toString()) || null;
+};
+
+// Apply inbox changes for a participant, creating their settings if needed
+chatSchema.methods.updateSettings = function(userId, changes) {
+  let settings = this.getSettings(userId);
+  if (!settings) {
+    this.participantSettings.push({ user: userId });
+    settings = this.participantSettings[this.participantSettings.length - 1];
+  }
+  Object.assign(settings, changes);
+  return settings;
+};
+
+// Check if a participant has muted the chat (timed mutes end on their own)
+chatSchema.methods.isMutedFor = function(userId) {
+  const settings = this.getSettings(userId);
+  return !!(settings?.muted && (!settings.mutedUntil || settings.mutedUntil > new Date()));
+};
+
 module.exports = mongoose.model('Chat', chatSchema);
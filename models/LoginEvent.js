@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every login attempt
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  ip: String,
+  userAgent: String,
+  outcome: {
+    type: String,
+    required: true,
+    enum: [
+      'success',
+      'invalid-password',
+      'unknown-user',
+      'unverified',
+      'locked',
+      '2fa-required',
+      '2fa-failed'
+    ]
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+
+// Keep the audit trail for 90 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
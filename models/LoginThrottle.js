@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Failed-login counter for one key: "account:<email>" or "ip:<address>"
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Counters are forgotten a while after the last failure
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
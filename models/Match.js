@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A mutual like. The pair is stored in a fixed order (user1 < user2) so the
+// unique index allows exactly one match per pair, whoever liked last.
+const matchSchema = new mongoose.Schema({
+  user1: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user2: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+matchSchema.index({ user1: 1, user2: 1 }, { unique: true });
+
+// The { user1, user2 } filter for a pair, in either order
+matchSchema.statics.pairFilter = function(userA, userB) {
+  const [user1, user2] = [userA.toString(), userB.toString()].sort();
+  return { user1, user2 };
+};
+
+matchSchema.statics.forUser = function(userId) {
+  return this.find({ $or: [{ user1: userId }, { user2: userId }] });
+};
+
+matchSchema.statics.areMatched = async function(userA, userB) {
+  return !!(await this.exists(this.pairFilter(userA, userB)));
+};
+
+// Ids of everyone the user is matched with
+matchSchema.statics.matchedUserIds = async function(userId) {
+  const matches = await this.forUser(userId).select('user1 user2').lean();
+  return matches.map(match => (match.user1.equals(userId) ? match.user2 : match.user1));
+};
+
+// The other user of the match
+matchSchema.methods.otherUser = function(userId) {
+  return this.user1.equals(userId) ? this.user2 : this.user1;
+};
+
+module.exports = mongoose.model('Match', matchSchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const MAX_PAGE_SIZE = 100;
+
+// Text messages can be edited for this long after sending
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+// What a message is populated with whenever it is sent to a client
+const DISPLAY_POPULATE = [
+  { path: 'sender', select: 'firstName lastName photos' },
+  {
+    path: 'replyTo',
+    select: 'sender content messageType',
+    populate: { path: 'sender', select: 'firstName' }
+  }
+];
+
+const messageSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Message text, or the optional caption of an image
+  content: {
+    type: String,
+    required: function() {
+      return this.messageType === 'text';
+    },
+    maxlength: 1000
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'location'],
+    default: 'text'
+  },
+  // Files in the private chat image store (see utils/chatImages.js)
+  image: {
+    fileName: String,
+    thumbnailFileName: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number
+  },
+  // A one-off pin, or a live share the sender keeps updating until
+  // liveUntil (or until they stop it)
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number, // meters, as reported by the device
+    live: Boolean,
+    liveUntil: Date,
+    stoppedAt: Date,
+    lastUpdatedAt: Date
+  },
+  // The earlier message in the same chat this one quotes
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  editedAt: Date,
+  // Previous versions, oldest first. Only loaded for the history endpoint.
+  editHistory: {
+    type: [{
+      _id: false,
+      content: String,
+      editedAt: Date
+    }],
+    select: false
+  },
+  // One entry per user per emoji
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Serves every page query: newest-first within a chat, _id breaks ties
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ sender: 1 });
+// Full-text search (routes/chat.js /search); ignores accents and case.
+// Prefixed by chat so a search only reads the chats it is asked about.
+messageSchema.index({ chat: 1, content: 'text' });
+messageSchema.index({ 'location.liveUntil': 1 }, { sparse: true });
+
+// Load one page of a chat's messages in chronological order.
+// `before`/`after` are message ids used as cursors; without either the
+// newest messages are returned. `around` centers the page on a message
+// (used to jump to a search result) and also reports `hasNewer`.
+messageSchema.statics.page = async function(chatId, { before, after, around, limit = 50 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+  if (around) {
+    const anchor = await this.findOne({ _id: around, chat: chatId }).populate(DISPLAY_POPULATE);
+    if (!anchor) return null;
+
+    const olderCount = Math.floor((pageSize - 1) / 2);
+    const [older, newer] = await Promise.all([
+      olderCount > 0 ? this.page(chatId, { before: around, limit: olderCount }) : { messages: [], hasMore: true },
+      this.page(chatId, { after: around, limit: Math.max(pageSize - 1 - olderCount, 1) })
+    ]);
+
+    return {
+      messages: [...older.messages, anchor, ...newer.messages],
+      hasMore: older.hasMore,
+      hasNewer: newer.hasMore
+    };
+  }
+  const cursorId = before || after;
+  const query = { chat: chatId };
+
+  if (cursorId) {
+    const cursor = await this.findOne({ _id: cursorId, chat: chatId }).select('createdAt');
+    if (!cursor) return null;
+
+    const op = before ? '$lt' : '$gt';
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  // Walk away from the cursor and fetch one extra to know if there is more
+  const direction = after ? 1 : -1;
+  const messages = await this.find(query)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(pageSize + 1)
+    .populate(DISPLAY_POPULATE);
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize);
+
+  return {
+    messages: after ? page : page.reverse(),
+    hasMore
+  };
+};
+
+// Check if this is a live location share that can still be updated
+messageSchema.methods.isLiveLocationActive = function() {
+  return !!(
+    this.messageType === 'location' &&
+    this.location.live &&
+    !this.location.stoppedAt &&
+    this.location.liveUntil > new Date()
+  );
+};
+
+// Check if the sender can still edit this message
+messageSchema.methods.isEditable = function() {
+  return this.messageType === 'text' && Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MS;
+};
+
+messageSchema.statics.EDIT_WINDOW_MS = EDIT_WINDOW_MS;
+messageSchema.statics.DISPLAY_POPULATE = DISPLAY_POPULATE;
+
+module.exports = mongoose.model('Message', messageSchema);
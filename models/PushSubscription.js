@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription. Tied to the session that created it, so
+// logging a device out also stops its notifications.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  // Push service URL; unique per browser profile
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  userAgent: String,
+  lastSuccessAt: Date,
+  // Consecutive failed deliveries; reset on success
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
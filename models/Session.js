@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 hash of the current refresh token, rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'remote-logout', 'password-reset', 'token-reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token secret for storage and lookup
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One user's decision on another. At most one per pair and direction (a pass
+// can later be turned into a like).
+const swipeSchema = new mongoose.Schema({
+  swiper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['like', 'pass'],
+    required: true
+  },
+  // A like sent with the daily super-like allowance
+  isSuperLike: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+swipeSchema.index({ swiper: 1, target: 1 }, { unique: true });
+// Likes a user has received
+swipeSchema.index({ target: 1, action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Swipe', swipeSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Normalize a domain or email address to a bare lowercase domain
+const normalizeDomain = (value) => {
+  const domain = String(value || '').trim().toLowerCase().split('@').pop();
+  return domain.replace(/^www\./, '').replace(/\.$/, '');
+};
+
+const universitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Every email domain of the school. Subdomains (e.g. cs.ox.ac.uk) resolve
+  // to their parent automatically, so only list genuinely distinct domains.
+  domains: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: domains => domains.length > 0,
+      message: 'A university needs at least one email domain'
+    }
+  },
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    minlength: 2,
+    maxlength: 2 // ISO 3166-1 alpha-2
+  },
+  campusLocation: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: [0, 0]
+    }
+  }
+}, {
+  timestamps: true
+});
+
+universitySchema.index({ domains: 1 }, { unique: true });
+universitySchema.index({ campusLocation: '2dsphere' });
+
+universitySchema.pre('validate', function(next) {
+  this.domains = [...new Set(this.domains.map(normalizeDomain).filter(Boolean))];
+  next();
+});
+
+// Find the university for an email address or domain, walking up
+// subdomains so cs.ox.ac.uk resolves to the entry owning ox.ac.uk
+universitySchema.statics.resolve = async function(emailOrDomain) {
+  const labels = normalizeDomain(emailOrDomain).split('.');
+  if (labels.length < 2) return null;
+
+  const candidates = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    candidates.push(labels.slice(i).join('.'));
+  }
+
+  const universities = await this.find({ domains: { $in: candidates } });
+  if (universities.length === 0) return null;
+
+  // Prefer the most specific (longest) matching domain
+  const specificity = university => Math.max(
+    ...university.domains.filter(domain => candidates.includes(domain)).map(domain => domain.length)
+  );
+  return universities.sort((a, b) => specificity(b) - specificity(a))[0];
+};
+
+universitySchema.statics.normalizeDomain = normalizeDomain;
+
+module.exports = mongoose.model('University', universitySchema);
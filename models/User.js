@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const University = require('./University');
+const { isValidTimeZone, isWithinDailyWindow } = require('../utils/timezones');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -9,10 +11,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: {
       validator: function(email) {
-        // Validate university email format (ends with .edu or .ac.uk etc.)
-        return /^[^\s@]+@[^\s@]+\.(edu|ac\.uk|edu\.au|ac\.in)$/i.test(email);
+        // Basic format only, the domain is checked against the University registry
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
       },
-      message: 'Please use a valid university email address'
+      message: 'Please use a valid email address'
     }
   },
   password: {
@@ -20,12 +22,46 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  passwordResetToken: String, // SHA-256 hash, the raw token is only ever emailed
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+
+  // Pending email change, confirmed from both the old and the new address
+  emailChange: {
+    pendingEmail: String,
+    newEmailTokenHash: String,
+    oldEmailTokenHash: String,
+    newConfirmed: Boolean,
+    oldConfirmed: Boolean,
+    expires: Date,
+    // After the change the old address can undo it for a while
+    previousEmail: String,
+    revertTokenHash: String,
+    revertExpires: Date
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String, // set during enrollment until the first code is confirmed
+    recoveryCodes: [String], // SHA-256 hashes, each usable once
+    lastUsedStep: Number // last accepted TOTP time step, prevents code replay
+  },
   
   // Profile information
   firstName: {
@@ -55,9 +91,14 @@ const userSchema = new mongoose.Schema({
     enum: ['male', 'female', 'both']
   },
   university: {
-    type: String,
+    type: String, // canonical university name, kept for display
     required: true
   },
+  universityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    index: true
+  },
   course: String,
   year: {
     type: Number,
@@ -68,6 +109,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  interests: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: 30 }],
+    validate: {
+      validator: interests => interests.length <= 10,
+      message: 'Up to 10 interests'
+    }
+  },
   photos: [{
     url: String,
     isMain: {
@@ -107,7 +155,7 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Activity
+  // Activity (maintained from live socket connections, see socket/presence.js)
   lastActive: {
     type: Date,
     default: Date.now
@@ -117,19 +165,97 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
-  // Matching
-  likedUsers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  dislikedUsers: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  matches: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
+  // Privacy
+  privacy: {
+    // Whether matches can see isOnline and lastActive
+    showActivityStatus: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
+  // IANA time zone reported by the browser, used for quiet hours
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+
+  // Which push notifications to send (see utils/push)
+  notificationPreferences: {
+    messages: {
+      type: Boolean,
+      default: true
+    },
+    matches: {
+      type: Boolean,
+      default: true
+    },
+    likes: {
+      type: Boolean,
+      default: true
+    },
+    // No push notifications between start and end ("HH:MM", local time)
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '22:00'
+      },
+      end: {
+        type: String,
+        default: '07:00'
+      }
+    }
+  },
+  
+  // Email digest sent while the user is away (see utils/emailDigest.js)
+  emailDigest: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    messages: {
+      type: Boolean,
+      default: true
+    },
+    matches: {
+      type: Boolean,
+      default: true
+    },
+    likes: {
+      type: Boolean,
+      default: true
+    },
+    lastSentAt: Date,
+    lastCheckedAt: Date
+  },
+  
+  // Daily allowance usage (see utils/dailyQuota.js); day is the local date
+  rewinds: {
+    day: String,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+  superLikes: {
+    day: String,
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Account deletion (grace period before the data is erased)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: {
+    type: Date,
+    index: true,
+    sparse: true
+  },
   
   // Profile completion
   profileCompleted: {
@@ -161,10 +287,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Extract university from email
+// Check if a JWT was issued before the last password change
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  const changedAt = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return changedAt > jwtIssuedAt;
+};
+
+// Resolve the user's university through the registry
 userSchema.methods.getUniversityFromEmail = function() {
-  const domain = this.email.split('@')[1];
-  return domain;
+  return University.resolve(this.email);
 };
 
 // Check if profile is complete
@@ -182,4 +314,25 @@ userSchema.methods.isProfileComplete = function() {
   );
 };
 
+// Check if the user's quiet hours are on right now, in their time zone
+userSchema.methods.isInQuietHours = function(date = new Date()) {
+  const quietHours = this.notificationPreferences?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const timeZone = isValidTimeZone(this.timezone) ? this.timezone : 'UTC';
+  return isWithinDailyWindow(date, timeZone, quietHours.start, quietHours.end);
+};
+
+// Prepare another user's document for display: hides presence when they
+// opted out. Select 'privacy' along with isOnline/lastActive for this.
+userSchema.statics.withPresencePrivacy = function(user) {
+  const result = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  if (result.privacy && result.privacy.showActivityStatus === false) {
+    result.isOnline = false;
+    result.lastActive = null;
+  }
+  delete result.privacy;
+  return result;
+};
+
 module.exports = mongoose.model('User', userSchema);
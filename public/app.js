@@ -4,11 +4,46 @@ class AppState {
         this.currentScreen = 'loading';
         this.user = null;
         this.token = localStorage.getItem('token');
+        this.refreshToken = localStorage.getItem('refreshToken');
         this.currentMatch = null;
         this.matches = [];
         this.potentialMatches = [];
+        this.rewinds = null;
+        this.superLikes = null;
+        this.likesReceived = [];
+        this.likesReceivedPage = 1;
+        this.likePhotoUrls = new Map();
+        this.lastSwipeAt = null;
         this.currentChatId = null;
+        this.currentChatUserId = null;
+        this.chatUserStatus = '';
+        this.otherReadMarker = null;
+        this.typingStopTimer = null;
+        this.lastTypingSentAt = 0;
+        this.imageUrls = new Map();
+        this.locationMaps = new Map();
+        this.liveShare = null;
+        this.replyTo = null;
+        this.editingMessageId = null;
+        this.hasOlderMessages = false;
+        this.loadingOlderMessages = false;
+        this.hasNewerMessages = false;
+        this.loadingNewerMessages = false;
+        this.searchTimer = null;
+        this.chats = [];
+        this.totalUnread = 0;
+        this.showArchived = false;
+        this.currentChatSettings = null;
+        this.vapidPublicKey = null;
         this.socket = null;
+        this.twoFactorChallenge = null;
+        
+        // Tabs share the tokens and each refresh rotates them: follow the
+        // other tabs so this one never sends a refresh token already used
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'token') this.token = event.newValue;
+            if (event.key === 'refreshToken') this.refreshToken = event.newValue;
+        });
     }
 
     setUser(user) {
@@ -24,6 +59,15 @@ class AppState {
         }
     }
 
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem('refreshToken', refreshToken);
+        } else {
+            localStorage.removeItem('refreshToken');
+        }
+    }
+
     showScreen(screenId) {
         document.querySelectorAll('.screen').forEach(screen => {
             screen.classList.remove('active');
@@ -72,9 +116,10 @@ class AppState {
 class ApiService {
     constructor() {
         this.baseURL = '/api';
+        this.refreshPromise = null;
     }
 
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, isRetry = false) {
         const url = this.baseURL + endpoint;
         const config = {
             headers: {
@@ -90,6 +135,16 @@ class ApiService {
 
         try {
             const response = await fetch(url, config);
+
+            // Access tokens are short-lived: refresh once and retry
+            if (response.status === 401 && !isRetry && appState.refreshToken && endpoint !== '/auth/refresh') {
+                if (await this.refreshSession()) {
+                    const retryOptions = { ...options, headers: { ...options.headers } };
+                    delete retryOptions.headers.Authorization;
+                    return this.request(endpoint, retryOptions, true);
+                }
+            }
+
             const data = await response.json();
 
             if (!response.ok) {
@@ -103,6 +158,42 @@ class ApiService {
         }
     }
 
+    // Share one in-flight refresh, a refresh token can only be used once
+    async refreshSession() {
+        if (!this.refreshPromise) {
+            // Another tab may have refreshed already; then its tokens are the
+            // valid ones and there is nothing left to do
+            const storedRefreshToken = localStorage.getItem('refreshToken');
+            if (storedRefreshToken && storedRefreshToken !== appState.refreshToken) {
+                appState.token = localStorage.getItem('token');
+                appState.refreshToken = storedRefreshToken;
+                return true;
+            }
+            
+            this.refreshPromise = fetch(this.baseURL + '/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: appState.refreshToken })
+            })
+            .then(async response => {
+                if (!response.ok) {
+                    appState.setToken(null);
+                    appState.setRefreshToken(null);
+                    return false;
+                }
+                const data = await response.json();
+                appState.setToken(data.token);
+                appState.setRefreshToken(data.refreshToken);
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
     // Auth endpoints
     async register(userData) {
         return this.request('/auth/register', {
@@ -118,15 +209,106 @@ class ApiService {
         });
     }
 
+    async forgotPassword(email) {
+        return this.request('/auth/forgot-password', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    }
+
+    async resetPassword(token, password) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, password })
+        });
+    }
+
     async getCurrentUser() {
         return this.request('/auth/me');
     }
 
+    async verifyTwoFactor(data) {
+        return this.request('/auth/2fa/verify', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async setupTwoFactor() {
+        return this.request('/auth/2fa/setup', { method: 'POST' });
+    }
+
+    async enableTwoFactor(code) {
+        return this.request('/auth/2fa/enable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async disableTwoFactor(data) {
+        return this.request('/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(sessionId) {
+        return this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    }
+
+    async revokeAllSessions() {
+        return this.request('/auth/sessions', { method: 'DELETE' });
+    }
+
     async logout() {
         return this.request('/auth/logout', { method: 'POST' });
     }
 
+    // Notification endpoints
+    async getVapidPublicKey() {
+        return this.request('/notifications/vapid-public-key');
+    }
+
+    async savePushSubscription(subscription) {
+        return this.request('/notifications/subscriptions', {
+            method: 'POST',
+            body: JSON.stringify(subscription)
+        });
+    }
+
+    async deletePushSubscription(endpoint) {
+        return this.request('/notifications/subscriptions', {
+            method: 'DELETE',
+            body: JSON.stringify({ endpoint })
+        });
+    }
+
+    async getNotificationPreferences() {
+        return this.request('/notifications/preferences');
+    }
+
+    async updateNotificationPreferences(preferences) {
+        return this.request('/notifications/preferences', {
+            method: 'PUT',
+            body: JSON.stringify({
+                ...preferences,
+                timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+            })
+        });
+    }
+
     // Profile endpoints
+    async updatePrivacy(privacy) {
+        return this.request('/profile/privacy', {
+            method: 'PUT',
+            body: JSON.stringify(privacy)
+        });
+    }
+
     async updateProfile(profileData) {
         return this.request('/profile/update', {
             method: 'PUT',
@@ -149,6 +331,28 @@ class ApiService {
         });
     }
 
+    async changeEmail(newEmail, password) {
+        return this.request('/profile/change-email', {
+            method: 'POST',
+            body: JSON.stringify({ newEmail, password })
+        });
+    }
+
+    async exportData() {
+        return this.request('/profile/export');
+    }
+
+    async requestAccountDeletion(password) {
+        return this.request('/profile/delete', {
+            method: 'POST',
+            body: JSON.stringify({ password })
+        });
+    }
+
+    async cancelAccountDeletion() {
+        return this.request('/profile/delete/cancel', { method: 'POST' });
+    }
+
     async updateLocation(latitude, longitude) {
         return this.request('/profile/update-location', {
             method: 'PUT',
@@ -169,6 +373,26 @@ class ApiService {
         return this.request(`/match/dislike/${userId}`, { method: 'POST' });
     }
 
+    async superLikeUser(userId) {
+        return this.request(`/match/superlike/${userId}`, { method: 'POST' });
+    }
+
+    async getLikesReceived(page = 1) {
+        return this.request(`/match/likes-received?page=${page}`);
+    }
+
+    async getLikePhoto(likeId) {
+        return this.fetchBlob(`/match/likes-received/${likeId}/photo`);
+    }
+
+    async likeBack(likeId) {
+        return this.request(`/match/likes-received/${likeId}/like`, { method: 'POST' });
+    }
+
+    async rewindSwipe() {
+        return this.request('/match/rewind', { method: 'POST' });
+    }
+
     async getMatches() {
         return this.request('/match/matches');
     }
@@ -178,19 +402,103 @@ class ApiService {
         return this.request('/chat');
     }
 
+    async updateChatSettings(chatId, settings) {
+        return this.request(`/chat/${chatId}/settings`, {
+            method: 'PUT',
+            body: JSON.stringify(settings)
+        });
+    }
+
     async getChatWithUser(userId) {
         return this.request(`/chat/with/${userId}`);
     }
 
-    async sendMessage(chatId, content) {
+    async sendMessage(chatId, content, replyTo) {
         return this.request(`/chat/${chatId}/messages`, {
             method: 'POST',
+            body: JSON.stringify({ content, replyTo })
+        });
+    }
+
+    async editMessage(chatId, messageId, content) {
+        return this.request(`/chat/${chatId}/messages/${messageId}`, {
+            method: 'PUT',
             body: JSON.stringify({ content })
         });
     }
 
-    async getMessages(chatId) {
-        return this.request(`/chat/${chatId}/messages`);
+    async getEditHistory(chatId, messageId) {
+        return this.request(`/chat/${chatId}/messages/${messageId}/history`);
+    }
+
+    async addReaction(chatId, messageId, emoji) {
+        return this.request(`/chat/${chatId}/messages/${messageId}/reactions`, {
+            method: 'POST',
+            body: JSON.stringify({ emoji })
+        });
+    }
+
+    async removeReaction(chatId, messageId, emoji) {
+        return this.request(`/chat/${chatId}/messages/${messageId}/reactions/${encodeURIComponent(emoji)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async markChatRead(chatId, messageId) {
+        return this.request(`/chat/${chatId}/read`, {
+            method: 'PUT',
+            body: JSON.stringify({ messageId })
+        });
+    }
+
+    async sendImage(chatId, file, caption, replyTo) {
+        const formData = new FormData();
+        formData.append('image', file);
+        if (caption) {
+            formData.append('content', caption);
+        }
+        if (replyTo) {
+            formData.append('replyTo', replyTo);
+        }
+
+        return this.request(`/chat/${chatId}/images`, {
+            method: 'POST',
+            headers: {},
+            body: formData
+        });
+    }
+
+    // Private files (chat images) need the auth header, so fetch them as blobs
+    async fetchBlob(endpoint, isRetry = false) {
+        const response = await fetch(this.baseURL + endpoint, {
+            headers: { Authorization: `Bearer ${appState.token}` }
+        });
+
+        if (response.status === 401 && !isRetry && appState.refreshToken && await this.refreshSession()) {
+            return this.fetchBlob(endpoint, true);
+        }
+
+        if (!response.ok) {
+            throw new Error('Request failed');
+        }
+
+        return response.blob();
+    }
+
+    async getChatImage(chatId, messageId, size) {
+        const query = size ? `?size=${size}` : '';
+        return this.fetchBlob(`/chat/${chatId}/messages/${messageId}/image${query}`);
+    }
+
+    // cursor is one of { before }, { after } or { around } with a message id
+    async getMessages(chatId, cursor = {}) {
+        const query = new URLSearchParams(cursor).toString();
+        return this.request(`/chat/${chatId}/messages${query ? `?${query}` : ''}`);
+    }
+
+    async searchMessages(q, page = 1) {
+        const query = new URLSearchParams({ q, page }).toString();
+        return this.request(`/chat/search?${query}`);
     }
 }
 
@@ -200,19 +508,175 @@ const api = new ApiService();
 
 // Socket.IO connection
 function initializeSocket() {
-    appState.socket = io();
+    if (appState.socket) {
+        appState.socket.disconnect();
+    }
+    
+    // Callback form so every (re)connect sends the latest access token
+    appState.socket = io({
+        auth: (cb) => cb({ token: appState.token })
+    });
     
     appState.socket.on('connect', () => {
         console.log('Connected to server');
+        
+        // Rooms are lost on reconnect, rejoin the open chat
+        if (appState.currentChatId) {
+            appState.socket.emit('join-chat', appState.currentChatId);
+        }
     });
 
+    // The access token may have expired while disconnected
+    appState.socket.on('connect_error', async (error) => {
+        console.error('Socket connection error:', error.message);
+        if (appState.refreshToken && await api.refreshSession()) {
+            appState.socket.connect();
+        }
+    });
+
+    // The server pushes every message to both participants, including the
+    // sender's own tabs, so skip messages that are already on screen
     appState.socket.on('receive-message', (data) => {
+        const fromOther = data.message.sender?._id !== appState.user.id;
+        if (fromOther) {
+            appState.socket.emit('message-delivered', {
+                chatId: data.chatId,
+                messageId: data.message._id
+            });
+        }
+
         if (data.chatId === appState.currentChatId) {
             displayMessage(data.message);
+            if (fromOther) {
+                setTypingIndicator(false);
+                markCurrentChatRead();
+            }
+        }
+    });
+
+    appState.socket.on('message-edited', (data) => {
+        if (data.chatId !== appState.currentChatId) return;
+        const messageDiv = document.querySelector(`.message[data-message-id="${data.messageId}"]`);
+        if (messageDiv) {
+            applyMessageEdit(messageDiv, data.content);
+        }
+    });
+
+    appState.socket.on('message-reactions', (data) => {
+        if (data.chatId !== appState.currentChatId) return;
+        const messageDiv = document.querySelector(`.message[data-message-id="${data.messageId}"]`);
+        if (messageDiv) {
+            renderReactions(messageDiv, data.reactions);
+        }
+    });
+
+    appState.socket.on('location-updated', (data) => {
+        if (data.chatId !== appState.currentChatId) return;
+        const messageDiv = document.querySelector(`.message[data-message-id="${data.messageId}"]`);
+        if (messageDiv) {
+            updateLocationCard(messageDiv, data.messageId, data.location);
+        }
+    });
+
+    appState.socket.on('location-stopped', (data) => {
+        if (appState.liveShare?.messageId === data.messageId) {
+            endLiveShare();
+        }
+        const messageDiv = document.querySelector(`.message[data-message-id="${data.messageId}"]`);
+        if (messageDiv) {
+            markLocationEnded(messageDiv);
+        }
+    });
+
+    appState.socket.on('messages-delivered', (data) => {
+        updateReadMarker(data, 'deliveredAt', data.deliveredAt);
+    });
+
+    appState.socket.on('messages-read', (data) => {
+        updateReadMarker(data, 'readAt', data.readAt);
+    });
+
+    // A chat's unread count (and our total) changed: new message, read
+    // elsewhere, deleted message or a mute/archive change
+    appState.socket.on('unread-count', (data) => {
+        updateUnreadBadge(data.totalUnread);
+
+        const chat = appState.chats.find(c => c._id === data.chatId);
+        if (chat && chat.unreadCount === data.unreadCount) return;
+
+        // Refresh previews and ordering too when the list is on screen
+        if (document.getElementById('matches-tab').classList.contains('active') &&
+            appState.currentScreen === 'main-app-screen') {
+            loadMatches();
+        } else if (chat) {
+            chat.unreadCount = data.unreadCount;
+        }
+    });
+
+    // A match came online, went offline or changed their privacy setting
+    appState.socket.on('presence', (data) => {
+        const match = appState.matches.find(m => m._id === data.userId);
+        if (match) {
+            match.isOnline = data.isOnline;
+            match.lastActive = data.lastActive;
+            displayMatches();
+        }
+
+        if (appState.currentChatUserId === data.userId) {
+            appState.chatUserStatus = formatPresence(data);
+            const status = document.getElementById('chat-user-status');
+            if (!status.classList.contains('typing')) {
+                status.textContent = appState.chatUserStatus;
+            }
+            status.classList.toggle('online', data.isOnline);
+        }
+    });
+
+    appState.socket.on('typing', (data) => {
+        if (data.chatId === appState.currentChatId && data.userId !== appState.user.id) {
+            setTypingIndicator(data.isTyping);
+        }
+    });
+
+    appState.socket.on('message-deleted', (data) => {
+        if (data.chatId === appState.currentChatId) {
+            document.querySelector(`.message[data-message-id="${data.messageId}"]`)?.remove();
+        }
+    });
+
+    appState.socket.on('like-received', (data) => {
+        showSuccess(data.superLike ? 'Someone just super liked you! ⭐' : 'Someone just liked you!');
+        loadLikesReceived();
+    });
+
+    appState.socket.on('new-match', (data) => {
+        const matchedUser = data.matchedUser;
+        if (!appState.matches.some(match => match._id === matchedUser._id)) {
+            appState.matches.unshift(matchedUser);
+            displayMatches();
+        }
+        showMatchModal(matchedUser, data.superLikedBy);
+    });
+
+    appState.socket.on('unmatched', (data) => {
+        appState.matches = appState.matches.filter(match => match._id !== data.userId);
+        displayMatches();
+
+        if (appState.currentChatUserId === data.userId) {
+            closeChat();
+            showError('This match is no longer available');
         }
     });
 }
 
+function disconnectSocket() {
+    endLiveShare();
+    if (appState.socket) {
+        appState.socket.disconnect();
+        appState.socket = null;
+    }
+}
+
 // Utility Functions
 function showError(message) {
     // Create or update error display
@@ -272,8 +736,8 @@ function showSuccess(message) {
 }
 
 function validateEmail(email) {
-    const universityDomains = ['.edu', '.ac.uk', '.edu.au', '.ac.in'];
-    return universityDomains.some(domain => email.toLowerCase().includes(domain));
+    // Whether the domain belongs to a supported university is checked by the server
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
 // Authentication Functions
@@ -285,20 +749,103 @@ async function handleLogin(event) {
 
     try {
         const response = await api.login({ email, password });
-        appState.setToken(response.token);
-        appState.setUser(response.user);
         
-        if (response.user.profileCompleted) {
-            appState.showScreen('main-app-screen');
-            await loadPotentialMatches();
-        } else {
-            appState.showScreen('profile-setup-screen');
+        // Password accepted, ask for the second factor
+        if (response.twoFactorRequired) {
+            appState.twoFactorChallenge = response.challengeToken;
+            showTwoFactorForm(true);
+            return;
         }
         
-        initializeSocket();
-        showSuccess('Welcome back!');
+        await finishLogin(response);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function finishLogin(response) {
+    appState.setToken(response.token);
+    appState.setRefreshToken(response.refreshToken);
+    appState.setUser(response.user);
+    await syncTimeZone();
+    
+    if (response.user.profileCompleted) {
+        appState.showScreen('main-app-screen');
+        await loadPotentialMatches();
+    } else {
+        appState.showScreen('profile-setup-screen');
+    }
+    
+    initializeSocket();
+    registerServiceWorker();
+    showSuccess('Welcome back!');
+}
+
+// Daily allowances refill at local midnight, so keep the server's idea of
+// the user's time zone current
+async function syncTimeZone() {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!timezone || appState.user.timezone === timezone) return;
+    
+    try {
+        await api.updateProfile({ timezone });
+        appState.user.timezone = timezone;
+    } catch (error) {
+        console.error('Time zone sync error:', error);
+    }
+}
+
+function showTwoFactorForm(show) {
+    document.getElementById('login-form').classList.toggle('hidden', show);
+    document.getElementById('two-factor-form').classList.toggle('hidden', !show);
+    document.getElementById('two-factor-code').value = '';
+    document.getElementById('two-factor-recovery').value = '';
+    toggleRecoveryCodeInput(false);
+    
+    if (show) {
+        document.getElementById('two-factor-code').focus();
+    } else {
+        appState.twoFactorChallenge = null;
+    }
+}
+
+function toggleRecoveryCodeInput(useRecovery) {
+    document.getElementById('two-factor-code-group').classList.toggle('hidden', useRecovery);
+    document.getElementById('two-factor-recovery-group').classList.toggle('hidden', !useRecovery);
+    document.getElementById('toggle-recovery-code').textContent = 
+        useRecovery ? 'Use authenticator code instead' : 'Use a recovery code instead';
+    document.getElementById('two-factor-hint').textContent = useRecovery
+        ? 'Enter one of your saved recovery codes'
+        : 'Enter the 6-digit code from your authenticator app';
+}
+
+async function handleTwoFactorLogin(event) {
+    event.preventDefault();
+    
+    const useRecovery = document.getElementById('two-factor-code-group').classList.contains('hidden');
+    const data = { challengeToken: appState.twoFactorChallenge };
+    
+    if (useRecovery) {
+        data.recoveryCode = document.getElementById('two-factor-recovery').value.trim();
+    } else {
+        data.code = document.getElementById('two-factor-code').value.trim();
+    }
+
+    try {
+        const response = await api.verifyTwoFactor(data);
+        showTwoFactorForm(false);
+        await finishLogin(response);
+        
+        if (response.recoveryCodesRemaining !== undefined) {
+            showError(`You have ${response.recoveryCodesRemaining} recovery codes left`);
+        }
     } catch (error) {
         showError(error.message);
+        
+        // The challenge only lives a few minutes, start over when it's gone
+        if (error.message.includes('expired')) {
+            showTwoFactorForm(false);
+        }
     }
 }
 
@@ -329,24 +876,69 @@ async function handleSignup(event) {
     }
 }
 
-// Profile Setup Functions
-async function handleProfileSetup(e) {
-    e.preventDefault();
+async function handleForgotPassword(event) {
+    event.preventDefault();
     
-    // Validate required fields
-    const course = document.getElementById('setup-course').value.trim();
-    const bio = document.getElementById('setup-bio').value.trim();
+    const email = document.getElementById('forgot-email').value;
+
+    try {
+        const response = await api.forgotPassword(email);
+        showSuccess(response.message);
+        appState.showScreen('login-screen');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function handleResetPassword(event) {
+    event.preventDefault();
     
-    if (!course) {
-        showError('Please enter your course/major.');
+    const password = document.getElementById('reset-password').value;
+    const confirmPassword = document.getElementById('reset-password-confirm').value;
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (password.length < 6) {
+        showError('Password must be at least 6 characters');
         return;
     }
-    
-    if (!bio) {
-        showError('Please write something about yourself.');
+
+    if (password !== confirmPassword) {
+        showError('Passwords do not match');
         return;
     }
-    
+
+    try {
+        const response = await api.resetPassword(token, password);
+        
+        // Any stored session was invalidated by the reset
+        appState.setToken(null);
+        appState.setRefreshToken(null);
+        window.history.replaceState({}, '', '/');
+        showSuccess(response.message);
+        appState.showScreen('login-screen');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Profile Setup Functions
+async function handleProfileSetup(e) {
+    e.preventDefault();
+    
+    // Validate required fields
+    const course = document.getElementById('setup-course').value.trim();
+    const bio = document.getElementById('setup-bio').value.trim();
+    
+    if (!course) {
+        showError('Please enter your course/major.');
+        return;
+    }
+    
+    if (!bio) {
+        showError('Please write something about yourself.');
+        return;
+    }
+    
     // Check if at least one photo is uploaded
     const photoSlotsWithPhotos = document.querySelectorAll('.photo-slot[data-has-photo="true"]');
     if (photoSlotsWithPhotos.length === 0) {
@@ -354,10 +946,21 @@ async function handleProfileSetup(e) {
         return;
     }
     
+    const interests = [...new Set(document.getElementById('setup-interests').value
+        .split(',')
+        .map(interest => interest.trim().toLowerCase())
+        .filter(Boolean))];
+    
+    if (interests.length > 10) {
+        showError('Please pick at most 10 interests.');
+        return;
+    }
+    
     const profileData = {
         course: course,
         year: document.getElementById('setup-year').value ? parseInt(document.getElementById('setup-year').value) : undefined,
-        bio: bio
+        bio: bio,
+        interests: interests
     };
 
     try {
@@ -540,7 +1143,11 @@ async function loadPotentialMatches() {
     try {
         const response = await api.getPotentialMatches();
         appState.potentialMatches = response.matches;
+        appState.rewinds = response.rewinds;
+        appState.superLikes = response.superLikes;
         displayNextCard();
+        updateRewindButton();
+        updateSuperLikeButton();
     } catch (error) {
         showError('Failed to load matches');
     }
@@ -578,18 +1185,35 @@ function createUserCard(user, stackIndex) {
     const mainPhoto = user.photos.find(p => p.isMain) || user.photos[0];
     const photoUrl = mainPhoto ? mainPhoto.url : '/default-avatar.png';
     
+    if (user.superLiked) {
+        card.classList.add('super-liked');
+    }
+    
     card.innerHTML = `
         <div class="card-image" style="background-image: url('${photoUrl}')">
+            ${user.superLiked ? '<div class="card-super-like"><i class="fas fa-star"></i> Super liked you</div>' : ''}
             ${user.distance ? `<div class="card-distance">${user.distance} km away</div>` : ''}
             <div class="card-gradient"></div>
             <div class="card-info">
                 <div class="card-name">${user.firstName} ${user.lastName}</div>
                 <div class="card-details">${user.age} • ${user.course || user.university}</div>
                 <div class="card-bio">${user.bio || 'No bio available'}</div>
+                <div class="card-interests"></div>
             </div>
         </div>
     `;
     
+    // Interests shared with the current user come first
+    const myInterests = new Set(appState.user?.interests || []);
+    const interests = [...(user.interests || [])].sort((a, b) => myInterests.has(b) - myInterests.has(a));
+    const interestsContainer = card.querySelector('.card-interests');
+    interests.slice(0, 5).forEach(interest => {
+        const tag = document.createElement('span');
+        tag.className = myInterests.has(interest) ? 'interest-tag shared' : 'interest-tag';
+        tag.textContent = interest;
+        interestsContainer.appendChild(tag);
+    });
+    
     // Add swipe functionality
     addSwipeListeners(card, user);
     
@@ -670,6 +1294,7 @@ function addSwipeListeners(card, user) {
 async function likeUser(user, card) {
     try {
         const response = await api.likeUser(user._id);
+        recordSwipe();
         
         // Animate card away
         card.style.transform = 'translateX(100%) rotate(30deg)';
@@ -682,16 +1307,55 @@ async function likeUser(user, card) {
         }, 300);
         
         if (response.isMatch) {
-            showMatchModal(response.matchedUser);
+            showMatchModal(response.matchedUser, response.superLikedBy);
         }
     } catch (error) {
         showError('Failed to like user');
     }
 }
 
+async function superLikeUser(user, card) {
+    try {
+        const response = await api.superLikeUser(user._id);
+        appState.superLikes = response.superLikes;
+        recordSwipe();
+        updateSuperLikeButton();
+        
+        // Animate card away upwards
+        card.style.transform = 'translateY(-120%) scale(0.9)';
+        card.style.opacity = '0';
+        
+        setTimeout(() => {
+            card.remove();
+            appState.potentialMatches.shift();
+            displayNextCard();
+        }, 300);
+        
+        if (response.isMatch) {
+            showMatchModal(response.matchedUser, response.superLikedBy);
+        } else {
+            showSuccess(`You super liked ${user.firstName}! ⭐`);
+        }
+    } catch (error) {
+        showError(error.message || 'Failed to super like user');
+    }
+}
+
+function updateSuperLikeButton() {
+    const button = document.getElementById('super-like-btn');
+    const remaining = appState.superLikes ? appState.superLikes.remaining : 0;
+    
+    button.disabled = remaining === 0;
+    document.getElementById('super-like-count').textContent = appState.superLikes ? remaining : '';
+    button.title = remaining === 0 && appState.superLikes
+        ? `No super likes left until ${new Date(appState.superLikes.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'Super like';
+}
+
 async function dislikeUser(user, card) {
     try {
         await api.dislikeUser(user._id);
+        recordSwipe();
         
         // Animate card away
         card.style.transform = 'translateX(-100%) rotate(-30deg)';
@@ -707,14 +1371,76 @@ async function dislikeUser(user, card) {
     }
 }
 
-function showMatchModal(matchedUser) {
+// Rewind: the server only undoes swipes made in the last few minutes
+const REWIND_WINDOW_MS = 10 * 60 * 1000;
+
+function recordSwipe() {
+    appState.lastSwipeAt = Date.now();
+    updateRewindButton();
+}
+
+function updateRewindButton() {
+    const button = document.getElementById('rewind-btn');
+    const count = document.getElementById('rewind-count');
+    const remaining = appState.rewinds ? appState.rewinds.remaining : 0;
+    const recent = appState.lastSwipeAt && Date.now() - appState.lastSwipeAt < REWIND_WINDOW_MS;
+    
+    button.disabled = !recent || remaining === 0;
+    count.textContent = appState.rewinds ? remaining : '';
+    button.title = remaining === 0 && appState.rewinds
+        ? `No rewinds left until ${new Date(appState.rewinds.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : 'Undo last swipe';
+}
+
+async function rewindLastSwipe() {
+    const button = document.getElementById('rewind-btn');
+    button.disabled = true;
+    
+    try {
+        const response = await api.rewindSwipe();
+        appState.rewinds = response.rewinds;
+        appState.superLikes = response.superLikes;
+        appState.lastSwipeAt = null;
+        updateSuperLikeButton();
+        
+        if (response.user) {
+            appState.potentialMatches = appState.potentialMatches.filter(match => match._id !== response.user._id);
+            appState.potentialMatches.unshift(response.user);
+            displayNextCard();
+            
+            // Bring the card back from the side it was swiped to
+            const topCard = document.querySelector('.user-card');
+            if (topCard) {
+                topCard.classList.add(response.action === 'like' ? 'rewind-from-right' : 'rewind-from-left');
+                topCard.addEventListener('animationend', () => {
+                    topCard.classList.remove('rewind-from-right', 'rewind-from-left');
+                }, { once: true });
+            }
+        }
+    } catch (error) {
+        showError(error.message || 'Failed to undo swipe');
+    } finally {
+        updateRewindButton();
+    }
+}
+
+function showMatchModal(matchedUser, superLikedBy = []) {
     const modal = document.getElementById('match-modal');
     const userName = document.getElementById('match-user-name');
     const userImg1 = document.getElementById('match-user-1');
     const userImg2 = document.getElementById('match-user-2');
+    const superLikeNote = document.getElementById('match-super-like');
     
     userName.textContent = matchedUser.firstName;
     
+    // Call out a super-like from either side
+    const superLikedByMe = superLikedBy.includes(appState.user.id);
+    const superLikedByThem = superLikedBy.includes(matchedUser._id);
+    superLikeNote.classList.toggle('hidden', !superLikedByMe && !superLikedByThem);
+    superLikeNote.textContent = superLikedByMe
+        ? `Your super like worked on ${matchedUser.firstName}!`
+        : `${matchedUser.firstName} super liked you!`;
+    
     // Set user photos
     const currentUserPhoto = appState.user.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
     const matchedUserPhoto = matchedUser.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
@@ -731,19 +1457,166 @@ function showMatchModal(matchedUser) {
 // Chat Functions
 async function loadMatches() {
     try {
-        const response = await api.getMatches();
-        appState.matches = response.matches;
+        const [matchesResponse, chatsResponse] = await Promise.all([
+            api.getMatches(),
+            api.getChats()
+        ]);
+        appState.matches = matchesResponse.matches;
+        appState.chats = chatsResponse.chats;
+        updateUnreadBadge(chatsResponse.totalUnread);
         displayMatches();
     } catch (error) {
         showError('Failed to load matches');
     }
+    
+    await loadLikesReceived();
+}
+
+// "Likes you": people waiting for an answer, shown blurred unless the
+// server reveals them
+async function loadLikesReceived(page = 1) {
+    try {
+        const response = await api.getLikesReceived(page);
+        if (page === 1) {
+            appState.likePhotoUrls.forEach(url => URL.revokeObjectURL(url));
+            appState.likePhotoUrls.clear();
+            appState.likesReceived = [];
+        }
+        appState.likesReceived.push(...response.likes);
+        appState.likesReceivedPage = page;
+        appState.likesReceivedTotal = response.total;
+        appState.likesReceivedHasMore = response.hasMore;
+        displayLikesReceived();
+    } catch (error) {
+        console.error('Failed to load received likes:', error);
+    }
+}
+
+function displayLikesReceived() {
+    const section = document.getElementById('likes-received');
+    const list = document.getElementById('likes-received-list');
+    const total = appState.likesReceivedTotal || 0;
+    
+    section.classList.toggle('hidden', total === 0);
+    document.getElementById('likes-received-title').textContent = total === 1 ? '1 person likes you' : `${total} people like you`;
+    document.getElementById('likes-received-more').classList.toggle('hidden', !appState.likesReceivedHasMore);
+    list.innerHTML = '';
+    
+    appState.likesReceived.forEach(like => {
+        const item = document.createElement('div');
+        item.className = like.superLike ? 'liked-you-item super' : 'liked-you-item';
+        
+        const img = document.createElement('img');
+        img.alt = '';
+        const label = document.createElement('span');
+        label.className = 'liked-you-name';
+        
+        if (like.user) {
+            img.src = like.user.photos?.find(p => p.isMain)?.url || like.user.photos?.[0]?.url || '/default-avatar.png';
+            label.textContent = `${like.user.firstName}, ${like.user.age}`;
+        } else {
+            img.classList.add('blurred');
+            label.textContent = like.superLike ? 'Super like' : 'Someone';
+            loadLikePhoto(like.likeId).then(url => {
+                if (url) img.src = url;
+            });
+        }
+        
+        const button = document.createElement('button');
+        button.className = 'liked-you-like-btn';
+        button.title = 'Like back';
+        button.innerHTML = '<i class="fas fa-heart"></i>';
+        button.addEventListener('click', () => likeBack(like, button));
+        
+        item.appendChild(img);
+        if (like.superLike) {
+            const star = document.createElement('i');
+            star.className = 'fas fa-star liked-you-star';
+            item.appendChild(star);
+        }
+        item.appendChild(label);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+async function loadLikePhoto(likeId) {
+    if (!appState.likePhotoUrls.has(likeId)) {
+        try {
+            const blob = await api.getLikePhoto(likeId);
+            appState.likePhotoUrls.set(likeId, URL.createObjectURL(blob));
+        } catch (error) {
+            return null;
+        }
+    }
+    return appState.likePhotoUrls.get(likeId);
+}
+
+// Liking back always makes a match
+async function likeBack(like, button) {
+    button.disabled = true;
+    try {
+        const response = await api.likeBack(like.likeId);
+        
+        appState.likesReceived = appState.likesReceived.filter(item => item.likeId !== like.likeId);
+        appState.likesReceivedTotal = Math.max((appState.likesReceivedTotal || 1) - 1, 0);
+        displayLikesReceived();
+        
+        if (response.isMatch) {
+            // They may also be waiting in the discovery deck
+            const matchedId = response.matchedUser._id;
+            if (appState.potentialMatches.some(match => match._id === matchedId)) {
+                appState.potentialMatches = appState.potentialMatches.filter(match => match._id !== matchedId);
+                displayNextCard();
+            }
+            showMatchModal(response.matchedUser, response.superLikedBy);
+            await loadMatches();
+        }
+    } catch (error) {
+        button.disabled = false;
+        showError(error.message || 'Failed to like back');
+    }
+}
+
+function updateUnreadBadge(totalUnread) {
+    appState.totalUnread = totalUnread;
+    const badge = document.getElementById('unread-badge');
+    badge.textContent = totalUnread > 99 ? '99+' : totalUnread;
+    badge.classList.toggle('hidden', totalUnread === 0);
 }
 
+// Conversations first (pinned, then most recent, as sorted by the server),
+// then matches nobody has written to yet. Archived chats have their own view.
 function displayMatches() {
     const matchesList = document.getElementById('matches-list');
     matchesList.innerHTML = '';
+
+    const archivedChats = appState.chats.filter(chat => chat.archived);
+    if (archivedChats.length === 0) {
+        appState.showArchived = false;
+    }
+
+    const toggle = document.getElementById('archived-chats-toggle');
+    toggle.classList.toggle('hidden', archivedChats.length === 0);
+    document.getElementById('archived-chats-label').textContent = appState.showArchived
+        ? 'Back to chats'
+        : `Archived (${archivedChats.length})`;
+
+    const entries = appState.chats
+        .filter(chat => chat.archived === appState.showArchived && chat.otherUser)
+        .map(chat => ({
+            chat,
+            user: appState.matches.find(m => m._id === chat.otherUser._id) || chat.otherUser
+        }));
+
+    if (!appState.showArchived) {
+        const chatUserIds = new Set(appState.chats.filter(chat => chat.otherUser).map(chat => chat.otherUser._id));
+        appState.matches
+            .filter(match => !chatUserIds.has(match._id))
+            .forEach(match => entries.push({ chat: null, user: match }));
+    }
     
-    if (appState.matches.length === 0) {
+    if (entries.length === 0) {
         matchesList.innerHTML = `
             <div class="no-matches">
                 <i class="fas fa-heart-broken"></i>
@@ -754,12 +1627,15 @@ function displayMatches() {
         return;
     }
     
-    appState.matches.forEach(match => {
+    entries.forEach(({ chat, user: match }) => {
         const matchItem = document.createElement('div');
         matchItem.className = 'match-item';
         matchItem.onclick = () => openChat(match);
         
         const photo = match.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
+        const unreadCount = chat?.unreadCount || 0;
+        const lastActivity = chat?.lastMessage?.timestamp || match.lastActive;
+        matchItem.classList.toggle('unread', unreadCount > 0);
         
         matchItem.innerHTML = `
             <div style="position: relative;">
@@ -767,13 +1643,20 @@ function displayMatches() {
                 ${match.isOnline ? '<div class="online-indicator"></div>' : ''}
             </div>
             <div class="match-info">
-                <div class="match-name">${match.firstName} ${match.lastName}</div>
-                <div class="match-last-message">Start a conversation!</div>
+                <div class="match-name">
+                    ${match.firstName} ${match.lastName}
+                    ${chat?.pinned ? '<i class="fas fa-thumbtack chat-flag" title="Pinned"></i>' : ''}
+                    ${chat?.muted ? '<i class="fas fa-bell-slash chat-flag" title="Muted"></i>' : ''}
+                </div>
+                <div class="match-last-message"></div>
             </div>
             <div class="match-time">
-                ${new Date(match.lastActive).toLocaleDateString()}
+                ${lastActivity ? new Date(lastActivity).toLocaleDateString() : ''}
+                ${unreadCount > 0 ? `<span class="unread-count ${chat.muted ? 'muted' : ''}">${unreadCount}</span>` : ''}
             </div>
         `;
+        matchItem.querySelector('.match-last-message').textContent =
+            chat?.lastMessage?.content || 'Start a conversation!';
         
         matchesList.appendChild(matchItem);
     });
@@ -785,176 +1668,1318 @@ async function loadUserProfile() {
         const response = await api.getCurrentUser();
         const user = response.user;
         displayUserProfile(user);
+        displayTwoFactorStatus(user.twoFactorEnabled);
+        document.getElementById('show-activity-status').checked = user.privacy?.showActivityStatus !== false;
+        displayDeletionNotice(user.deletionScheduledFor);
+        await loadNotificationSettings();
+        await loadSessions();
     } catch (error) {
         showError('Failed to load profile');
     }
 }
 
-function displayUserProfile(user) {
-    // Update profile photos
-    const photoGrid = document.getElementById('profile-photo-grid');
-    photoGrid.innerHTML = '';
+async function handleChangeEmail() {
+    const newEmail = document.getElementById('change-email-new').value.trim();
+    const password = document.getElementById('change-email-password').value;
     
-    if (user.photos && user.photos.length > 0) {
-        user.photos.forEach((photo, index) => {
-            const photoItem = document.createElement('div');
-            photoItem.className = `profile-photo-item ${photo.isMain ? 'main-photo' : ''}`;
-            
-            const img = document.createElement('img');
-            img.src = photo.url;
-            img.alt = `${user.firstName}'s photo`;
-            
-            photoItem.appendChild(img);
-            photoGrid.appendChild(photoItem);
-        });
-    } else {
-        photoGrid.innerHTML = `
-            <div class="no-photos">
-                <i class="fas fa-camera"></i>
-                <p>No photos uploaded</p>
-            </div>
-        `;
+    if (!validateEmail(newEmail)) {
+        showError('Please use a valid university email address');
+        return;
     }
     
-    // Update profile information
-    document.getElementById('profile-name').textContent = `${user.firstName} ${user.lastName}`;
-    document.getElementById('profile-age-course').textContent = `${user.age} • ${user.course || 'Course not specified'}`;
-    document.getElementById('profile-bio-text').textContent = user.bio || 'No bio added yet';
-    document.getElementById('profile-course').textContent = user.course || 'Not specified';
-    document.getElementById('profile-year').textContent = user.year ? `Year ${user.year}` : 'Not specified';
-    document.getElementById('profile-university').textContent = user.university || 'Not specified';
-}
-
-async function openChat(user) {
     try {
-        console.log('Opening chat with user:', user);
-        
-        if (!user || (!user._id && !user.id)) {
-            throw new Error('Invalid user object - missing ID');
-        }
-        
-        // Handle both _id and id formats
-        const userId = user._id || user.id;
-        
-        const response = await api.getChatWithUser(userId);
-        console.log('Chat response:', response);
-        
-        if (!response || !response.chat) {
-            throw new Error('Invalid chat response');
-        }
-        
-        appState.currentChatId = response.chat._id;
-        
-        // Update chat header
-        document.getElementById('chat-user-name').textContent = `${user.firstName} ${user.lastName}`;
-        document.getElementById('chat-user-avatar').src = 
-            user.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
-        document.getElementById('chat-user-status').textContent = 
-            user.isOnline ? 'Online' : `Last seen ${new Date(user.lastActive).toLocaleDateString()}`;
-        document.getElementById('chat-user-status').className = 
-            `status ${user.isOnline ? 'online' : ''}`;
-        
-        // Join chat room
-        if (appState.socket) {
-            appState.socket.emit('join-chat', appState.currentChatId);
-        }
-        
-        // Load messages
-        await loadMessages();
-        
-        appState.showScreen('chat-screen');
+        const response = await api.changeEmail(newEmail, password);
+        document.getElementById('change-email-modal').classList.remove('active');
+        document.getElementById('change-email-new').value = '';
+        document.getElementById('change-email-password').value = '';
+        showSuccess(response.universityChanged
+            ? `${response.message} Your university will change to ${response.university}.`
+            : response.message);
     } catch (error) {
-        console.error('Chat error details:', error);
-        showError('Failed to open chat: ' + (error.message || 'Unknown error'));
+        showError(error.message);
+    }
+}
+
+function displayDeletionNotice(deletionScheduledFor) {
+    const notice = document.getElementById('deletion-notice');
+    notice.classList.toggle('hidden', !deletionScheduledFor);
+    
+    if (deletionScheduledFor) {
+        document.getElementById('deletion-notice-text').textContent = 
+            `Your account is scheduled for deletion on ${new Date(deletionScheduledFor).toLocaleDateString()}. Your profile is hidden until then.`;
     }
 }
 
-async function loadMessages() {
+async function exportMyData() {
     try {
-        const response = await api.getMessages(appState.currentChatId);
-        const messagesContainer = document.getElementById('chat-messages');
-        messagesContainer.innerHTML = '';
-        
-        response.messages.forEach(message => {
-            displayMessage(message);
-        });
-        
-        // Scroll to bottom
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        const data = await api.exportData();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `unimatch-export-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     } catch (error) {
-        showError('Failed to load messages');
+        showError('Failed to export your data');
     }
 }
 
-function displayMessage(message) {
-    const messagesContainer = document.getElementById('chat-messages');
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${message.sender._id === appState.user.id ? 'sent' : 'received'}`;
-    
-    messageDiv.innerHTML = `
-        <div class="message-bubble">
-            ${message.content}
-            <div class="message-time">
-                ${new Date(message.createdAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
-            </div>
-        </div>
-    `;
+async function requestAccountDeletion() {
+    const password = prompt('This will permanently delete your account, matches and messages after a grace period. Enter your password to confirm:');
+    if (!password) return;
     
-    messagesContainer.appendChild(messageDiv);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    try {
+        const response = await api.requestAccountDeletion(password);
+        displayDeletionNotice(response.deletionScheduledFor);
+        showSuccess(response.message);
+    } catch (error) {
+        showError(error.message);
+    }
 }
 
-async function sendMessage() {
-    const input = document.getElementById('message-input');
-    const content = input.value.trim();
-    
-    if (!content) return;
-    
+async function cancelAccountDeletion() {
     try {
-        const response = await api.sendMessage(appState.currentChatId, content);
-        input.value = '';
-        
-        // Emit to socket for real-time delivery
-        if (appState.socket) {
-            appState.socket.emit('send-message', {
-                chatId: appState.currentChatId,
-                message: response.message
-            });
-        }
-        
-        displayMessage(response.message);
+        await api.cancelAccountDeletion();
+        displayDeletionNotice(null);
+        showSuccess('Welcome back! Your account will not be deleted.');
     } catch (error) {
-        showError('Failed to send message');
+        showError(error.message);
     }
 }
 
-// Email Verification Handler
-async function handleEmailVerification(token) {
-    try {
-        // Show loading state
-        document.body.innerHTML = `
-            <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif;">
-                <div style="text-align: center; padding: 20px;">
-                    <h2 style="color: #e91e63;">Verifying your email...</h2>
-                    <div style="margin: 20px 0;">
-                        <div style="width: 40px; height: 40px; border: 4px solid #f3f3f3; border-top: 4px solid #e91e63; border-radius: 50%; animation: spin 1s linear infinite; margin: 0 auto;"></div>
-                    </div>
-                </div>
-            </div>
-            <style>
-                @keyframes spin {
-                    0% { transform: rotate(0deg); }
-                    100% { transform: rotate(360deg); }
-                }
-            </style>
-        `;
+// Push notifications
+const pushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
 
-        const response = await fetch(`/api/auth/verify-email?token=${token}`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+async function registerServiceWorker() {
+    if (!pushSupported()) return;
+
+    try {
+        await navigator.serviceWorker.register('/sw.js');
+        await syncPushSubscription();
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
+}
+
+// Re-send this browser's subscription after logging in, so notifications
+// follow whoever is signed in here
+async function syncPushSubscription() {
+    if (!pushSupported() || Notification.permission !== 'granted') return;
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription();
+    if (subscription) {
+        await api.savePushSubscription(subscription.toJSON());
+    }
+}
+
+async function getPushSubscription() {
+    if (!pushSupported()) return null;
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration ? registration.pushManager.getSubscription() : null;
+}
+
+async function displayPushStatus() {
+    const status = document.getElementById('push-status');
+    const toggleBtn = document.getElementById('push-toggle-btn');
+    toggleBtn.classList.add('hidden');
+
+    if (!pushSupported()) {
+        status.textContent = 'This browser does not support push notifications.';
+        return;
+    }
+
+    if (!appState.vapidPublicKey) {
+        const response = await api.getVapidPublicKey();
+        appState.vapidPublicKey = response.publicKey;
+    }
+    if (!appState.vapidPublicKey) {
+        status.textContent = 'Push notifications are not available right now.';
+        return;
+    }
+
+    if (Notification.permission === 'denied') {
+        status.textContent = 'Notifications are blocked in your browser settings.';
+        return;
+    }
+
+    const subscription = await getPushSubscription();
+    status.textContent = subscription
+        ? 'Push notifications are on for this device.'
+        : 'Get notified about matches and messages when the app is closed.';
+    toggleBtn.dataset.enabled = subscription ? 'true' : 'false';
+    toggleBtn.querySelector('span').textContent = subscription
+        ? 'Disable Push Notifications'
+        : 'Enable Push Notifications';
+    toggleBtn.classList.remove('hidden');
+}
+
+async function loadNotificationSettings() {
+    try {
+        const { preferences } = await api.getNotificationPreferences();
+        document.querySelectorAll('.notification-category').forEach(checkbox => {
+            checkbox.checked = preferences[checkbox.dataset.category];
+        });
+        document.getElementById('quiet-hours-enabled').checked = preferences.quietHours.enabled;
+        document.getElementById('quiet-hours-start').value = preferences.quietHours.start;
+        document.getElementById('quiet-hours-end').value = preferences.quietHours.end;
+        document.querySelectorAll('.digest-option').forEach(checkbox => {
+            checkbox.checked = preferences.emailDigest[checkbox.dataset.option];
+        });
+        updateDigestOptionsState();
+
+        await displayPushStatus();
+    } catch (error) {
+        console.error('Failed to load notification settings:', error);
+    }
+}
+
+async function togglePushNotifications(e) {
+    const enabled = e.currentTarget.dataset.enabled === 'true';
+
+    try {
+        if (enabled) {
+            await disablePushNotifications();
+            showSuccess('Push notifications turned off for this device');
+        } else {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                await displayPushStatus();
+                return;
+            }
+
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(appState.vapidPublicKey)
+            });
+            await api.savePushSubscription(subscription.toJSON());
+            showSuccess('Push notifications turned on');
+        }
+    } catch (error) {
+        showError(error.message || 'Failed to update push notifications');
+    }
+
+    await displayPushStatus();
+}
+
+// Unsubscribe this browser (also done on logout)
+async function disablePushNotifications() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+
+    await api.deletePushSubscription(subscription.endpoint);
+    await subscription.unsubscribe();
+}
+
+async function updateNotificationPreference(changes, revert) {
+    try {
+        await api.updateNotificationPreferences(changes);
+    } catch (error) {
+        revert();
+        showError(error.message || 'Failed to update notification settings');
+    }
+}
+
+// Sections only matter while the digest itself is on
+function updateDigestOptionsState() {
+    const enabled = document.querySelector('.digest-option[data-option="enabled"]').checked;
+    document.querySelectorAll('.digest-option:not([data-option="enabled"])').forEach(checkbox => {
+        checkbox.disabled = !enabled;
+    });
+}
+
+function updateQuietHours() {
+    const enabledInput = document.getElementById('quiet-hours-enabled');
+    const start = document.getElementById('quiet-hours-start').value;
+    const end = document.getElementById('quiet-hours-end').value;
+    if (!start || !end) return;
+
+    updateNotificationPreference(
+        { quietHours: { enabled: enabledInput.checked, start, end } },
+        () => loadNotificationSettings()
+    );
+}
+
+// Clicking a notification while the app is open (see public/sw.js)
+function handleNotificationClick(data) {
+    if (!appState.user) return;
+
+    if (data.type === 'message' || data.type === 'match') {
+        openChatWithUser(data.userId);
+    } else if (data.type === 'like') {
+        appState.showScreen('main-app-screen');
+        appState.showTab('discover');
+    }
+}
+
+async function openChatWithUser(userId) {
+    if (appState.matches.length === 0) {
+        await loadMatches();
+    }
+    const match = appState.matches.find(m => m._id === userId);
+    if (match) {
+        await openChat(match);
+    }
+}
+
+async function updateActivityStatusPrivacy(e) {
+    const checkbox = e.target;
+    try {
+        await api.updatePrivacy({ showActivityStatus: checkbox.checked });
+        showSuccess(checkbox.checked ? 'Matches can now see your activity status' : 'Your activity status is now hidden');
+    } catch (error) {
+        checkbox.checked = !checkbox.checked;
+        showError('Failed to update privacy settings');
+    }
+}
+
+function displayTwoFactorStatus(enabled) {
+    document.getElementById('two-factor-status').textContent = enabled
+        ? 'Enabled: a code from your authenticator app is required at sign in.'
+        : 'Add an extra layer of security to your account.';
+    
+    const toggleBtn = document.getElementById('two-factor-toggle-btn');
+    toggleBtn.dataset.enabled = enabled ? 'true' : 'false';
+    toggleBtn.querySelector('span').textContent = enabled ? 'Disable Two-Factor' : 'Enable Two-Factor';
+}
+
+async function startTwoFactorSetup() {
+    try {
+        const response = await api.setupTwoFactor();
+        
+        document.getElementById('two-factor-qr').src = response.qrCode;
+        document.getElementById('two-factor-secret').textContent = response.secret;
+        document.getElementById('two-factor-setup-code').value = '';
+        document.getElementById('two-factor-setup-step').classList.remove('hidden');
+        document.getElementById('two-factor-recovery-step').classList.add('hidden');
+        document.getElementById('two-factor-setup-modal').classList.add('active');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function confirmTwoFactorSetup() {
+    const code = document.getElementById('two-factor-setup-code').value.trim();
+    
+    try {
+        const response = await api.enableTwoFactor(code);
+        
+        const codesList = document.getElementById('two-factor-recovery-codes');
+        codesList.innerHTML = '';
+        response.recoveryCodes.forEach(recoveryCode => {
+            const item = document.createElement('li');
+            item.textContent = recoveryCode;
+            codesList.appendChild(item);
+        });
+        
+        document.getElementById('two-factor-setup-step').classList.add('hidden');
+        document.getElementById('two-factor-recovery-step').classList.remove('hidden');
+        displayTwoFactorStatus(true);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function confirmDisableTwoFactor() {
+    const password = document.getElementById('two-factor-disable-password').value;
+    const code = document.getElementById('two-factor-disable-code').value.trim();
+    const data = { password };
+    
+    // Authenticator codes are 6 digits, anything else is treated as a recovery code
+    if (/^\d{6}$/.test(code)) {
+        data.code = code;
+    } else {
+        data.recoveryCode = code;
+    }
+    
+    try {
+        await api.disableTwoFactor(data);
+        document.getElementById('two-factor-disable-modal').classList.remove('active');
+        document.getElementById('two-factor-disable-password').value = '';
+        document.getElementById('two-factor-disable-code').value = '';
+        displayTwoFactorStatus(false);
+        showSuccess('Two-factor authentication disabled');
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+async function loadSessions() {
+    try {
+        const response = await api.getSessions();
+        displaySessions(response.sessions);
+    } catch (error) {
+        showError('Failed to load devices');
+    }
+}
+
+function displaySessions(sessions) {
+    const sessionsList = document.getElementById('sessions-list');
+    sessionsList.innerHTML = '';
+    
+    sessions.forEach(session => {
+        const sessionItem = document.createElement('div');
+        sessionItem.className = 'session-item';
+        
+        sessionItem.innerHTML = `
+            <i class="fas fa-${/Mobile|Android|iPhone/i.test(session.userAgent || '') ? 'mobile-alt' : 'desktop'}"></i>
+            <div class="session-info">
+                <div class="session-device"></div>
+                <div class="session-meta">
+                    ${session.current ? 'This device' : `Last active ${new Date(session.lastUsedAt).toLocaleString()}`}
+                </div>
+            </div>
+        `;
+        sessionItem.querySelector('.session-device').textContent = session.userAgent || 'Unknown device';
+        
+        if (!session.current) {
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'btn-outline btn-small';
+            revokeBtn.textContent = 'Log out';
+            revokeBtn.onclick = async () => {
+                try {
+                    await api.revokeSession(session.id);
+                    showSuccess('Device logged out');
+                    await loadSessions();
+                } catch (error) {
+                    showError('Failed to log out device');
+                }
+            };
+            sessionItem.appendChild(revokeBtn);
+        }
+        
+        sessionsList.appendChild(sessionItem);
+    });
+}
+
+function displayUserProfile(user) {
+    // Update profile photos
+    const photoGrid = document.getElementById('profile-photo-grid');
+    photoGrid.innerHTML = '';
+    
+    if (user.photos && user.photos.length > 0) {
+        user.photos.forEach((photo, index) => {
+            const photoItem = document.createElement('div');
+            photoItem.className = `profile-photo-item ${photo.isMain ? 'main-photo' : ''}`;
+            
+            const img = document.createElement('img');
+            img.src = photo.url;
+            img.alt = `${user.firstName}'s photo`;
+            
+            photoItem.appendChild(img);
+            photoGrid.appendChild(photoItem);
+        });
+    } else {
+        photoGrid.innerHTML = `
+            <div class="no-photos">
+                <i class="fas fa-camera"></i>
+                <p>No photos uploaded</p>
+            </div>
+        `;
+    }
+    
+    // Update profile information
+    document.getElementById('profile-name').textContent = `${user.firstName} ${user.lastName}`;
+    document.getElementById('profile-age-course').textContent = `${user.age} • ${user.course || 'Course not specified'}`;
+    document.getElementById('profile-bio-text').textContent = user.bio || 'No bio added yet';
+    document.getElementById('profile-course').textContent = user.course || 'Not specified';
+    document.getElementById('profile-year').textContent = user.year ? `Year ${user.year}` : 'Not specified';
+    document.getElementById('profile-interests').textContent = user.interests && user.interests.length > 0
+        ? user.interests.join(', ')
+        : 'Not specified';
+    document.getElementById('profile-university').textContent = user.university || 'Not specified';
+}
+
+// Message search (matches tab)
+function handleMessageSearchInput(e) {
+    clearTimeout(appState.searchTimer);
+    const q = e.target.value.trim();
+
+    if (q.length < 2) {
+        document.getElementById('message-search-results').classList.add('hidden');
+        document.getElementById('matches-list').classList.remove('hidden');
+        return;
+    }
+
+    appState.searchTimer = setTimeout(() => searchMessages(q), 300);
+}
+
+async function searchMessages(q) {
+    try {
+        const response = await api.searchMessages(q);
+        // Ignore responses to an older query
+        if (document.getElementById('message-search-input').value.trim() !== q) return;
+
+        displaySearchResults(response.results);
+    } catch (error) {
+        showError(error.message || 'Search failed');
+    }
+}
+
+// Snippet text with the matched words wrapped in <mark>
+function renderHighlightedSnippet(container, snippet, highlights) {
+    let position = 0;
+    highlights.forEach(({ start, length }) => {
+        container.appendChild(document.createTextNode(snippet.slice(position, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = snippet.slice(start, start + length);
+        container.appendChild(mark);
+        position = start + length;
+    });
+    container.appendChild(document.createTextNode(snippet.slice(position)));
+}
+
+function displaySearchResults(results) {
+    const resultsList = document.getElementById('message-search-results');
+    resultsList.innerHTML = '';
+    resultsList.classList.remove('hidden');
+    document.getElementById('matches-list').classList.add('hidden');
+
+    if (results.length === 0) {
+        resultsList.innerHTML = `
+            <div class="no-matches">
+                <i class="fas fa-search"></i>
+                <h3>No messages found</h3>
+            </div>
+        `;
+        return;
+    }
+
+    results.forEach(result => {
+        const user = result.otherUser;
+        const resultItem = document.createElement('div');
+        resultItem.className = 'match-item search-result';
+        if (user) {
+            resultItem.onclick = () => openChat(user, result.cursor);
+        }
+
+        const photo = user?.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
+        const name = user ? `${user.firstName} ${user.lastName}` : 'Deleted user';
+
+        resultItem.innerHTML = `
+            <img src="${photo}" alt="" class="match-avatar">
+            <div class="match-info">
+                <div class="match-name"></div>
+                <div class="match-last-message"></div>
+            </div>
+            <div class="match-time">${new Date(result.createdAt).toLocaleDateString()}</div>
+        `;
+        resultItem.querySelector('.match-name').textContent = name;
+
+        const snippet = resultItem.querySelector('.match-last-message');
+        if (result.fromMe) {
+            snippet.appendChild(document.createTextNode('You: '));
+        }
+        renderHighlightedSnippet(snippet, result.snippet, result.highlights);
+
+        resultsList.appendChild(resultItem);
+    });
+}
+
+// Pass aroundMessageId to open the chat at that message instead of the newest
+async function openChat(user, aroundMessageId) {
+    try {
+        console.log('Opening chat with user:', user);
+        
+        if (!user || (!user._id && !user.id)) {
+            throw new Error('Invalid user object - missing ID');
+        }
+        
+        // Handle both _id and id formats
+        const userId = user._id || user.id;
+        
+        const response = await api.getChatWithUser(userId);
+        console.log('Chat response:', response);
+        
+        if (!response || !response.chat) {
+            throw new Error('Invalid chat response');
+        }
+        
+        if (appState.socket && appState.currentChatId) {
+            appState.socket.emit('leave-chat', appState.currentChatId);
+        }
+        appState.currentChatId = response.chat._id;
+        appState.currentChatUserId = userId;
+        const inboxChat = appState.chats.find(chat => chat._id === response.chat._id);
+        appState.currentChatSettings = {
+            pinned: !!inboxChat?.pinned,
+            archived: !!inboxChat?.archived,
+            muted: !!inboxChat?.muted
+        };
+        updateChatSettingsButtons();
+        
+        // Update chat header
+        document.getElementById('chat-user-name').textContent = `${user.firstName} ${user.lastName}`;
+        document.getElementById('chat-user-avatar').src = 
+            user.photos?.find(p => p.isMain)?.url || '/default-avatar.png';
+        appState.chatUserStatus = formatPresence(user);
+        document.getElementById('chat-user-status').textContent = appState.chatUserStatus;
+        document.getElementById('chat-user-status').className = 
+            `status ${user.isOnline ? 'online' : ''}`;
+        
+        // Join chat room (the server checks we are a participant)
+        if (appState.socket) {
+            appState.socket.emit('join-chat', appState.currentChatId, (result) => {
+                if (result && !result.ok) {
+                    console.error('Failed to join chat:', result.message);
+                }
+            });
+        }
+        
+        // Load messages
+        appState.showScreen('chat-screen');
+        await loadMessages(aroundMessageId);
+    } catch (error) {
+        console.error('Chat error details:', error);
+        showError('Failed to open chat: ' + (error.message || 'Unknown error'));
+    }
+}
+
+// Header text for a user's presence; empty when they hide it
+function formatPresence(user) {
+    if (user.isOnline) return 'Online';
+    if (!user.lastActive) return '';
+    return `Last seen ${new Date(user.lastActive).toLocaleDateString()}`;
+}
+
+function closeChat() {
+    clearComposerContext();
+    stopTyping();
+    setTypingIndicator(false);
+    appState.imageUrls.forEach(url => URL.revokeObjectURL(url));
+    appState.imageUrls.clear();
+    appState.locationMaps.clear();
+    if (appState.socket && appState.currentChatId) {
+        appState.socket.emit('leave-chat', appState.currentChatId);
+    }
+    appState.currentChatId = null;
+    appState.currentChatUserId = null;
+    appState.currentChatSettings = null;
+    appState.showScreen('main-app-screen');
+    appState.showTab('matches');
+    loadMatches();
+}
+
+// Pin, mute and archive only change how the chat is listed for us
+function updateChatSettingsButtons() {
+    const settings = appState.currentChatSettings;
+    const buttons = [
+        ['pin-chat-btn', settings.pinned, 'Unpin chat', 'Pin chat'],
+        ['mute-chat-btn', settings.muted, 'Unmute chat', 'Mute chat'],
+        ['archive-chat-btn', settings.archived, 'Unarchive chat', 'Archive chat']
+    ];
+    buttons.forEach(([id, active, onTitle, offTitle]) => {
+        const button = document.getElementById(id);
+        button.classList.toggle('active', active);
+        button.title = active ? onTitle : offTitle;
+    });
+}
+
+async function updateChatSettings(changes) {
+    try {
+        const response = await api.updateChatSettings(appState.currentChatId, changes);
+        appState.currentChatSettings = response.settings;
+        updateChatSettingsButtons();
+    } catch (error) {
+        showError(error.message || 'Failed to update chat');
+    }
+}
+
+async function muteChat(hours) {
+    document.getElementById('mute-chat-modal').classList.remove('active');
+    await updateChatSettings(hours ? { muted: true, muteHours: hours } : { muted: true });
+}
+
+async function loadMessages(aroundMessageId) {
+    try {
+        const cursor = aroundMessageId ? { around: aroundMessageId } : {};
+        const response = await api.getMessages(appState.currentChatId, cursor);
+        const messagesContainer = document.getElementById('chat-messages');
+        messagesContainer.innerHTML = '';
+        appState.hasOlderMessages = response.hasMore;
+        appState.hasNewerMessages = false;
+
+        const otherMarker = response.readMarkers.find(marker => marker.user !== appState.user.id);
+        appState.otherReadMarker = {
+            deliveredAt: otherMarker?.lastDeliveredAt || null,
+            readAt: otherMarker?.lastReadAt || null
+        };
+        
+        response.messages.forEach(message => {
+            displayMessage(message);
+        });
+        appState.hasNewerMessages = !!response.hasNewer;
+        
+        if (aroundMessageId) {
+            scrollToMessage(aroundMessageId);
+        } else {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+        markCurrentChatRead();
+    } catch (error) {
+        showError('Failed to load messages');
+    }
+}
+
+// Fetch the page before the oldest message on screen when scrolled to the top
+async function loadOlderMessages() {
+    const messagesContainer = document.getElementById('chat-messages');
+    const oldest = messagesContainer.querySelector('[data-message-id]');
+    if (!oldest || !appState.hasOlderMessages || appState.loadingOlderMessages) return;
+
+    appState.loadingOlderMessages = true;
+    const chatId = appState.currentChatId;
+    try {
+        const response = await api.getMessages(chatId, { before: oldest.dataset.messageId });
+        if (chatId !== appState.currentChatId) return;
+
+        appState.hasOlderMessages = response.hasMore;
+
+        // Keep the visible messages in place while prepending
+        const previousHeight = messagesContainer.scrollHeight;
+        response.messages.reverse().forEach(message => {
+            const messageDiv = createMessageElement(message);
+            messagesContainer.insertBefore(messageDiv, messagesContainer.firstChild);
+        });
+        messagesContainer.scrollTop = messagesContainer.scrollHeight - previousHeight;
+    } catch (error) {
+        showError('Failed to load older messages');
+    } finally {
+        appState.loadingOlderMessages = false;
+    }
+}
+
+// Fetch the page after the newest message on screen when scrolled to the
+// bottom of older context (opened from a search result)
+async function loadNewerMessages() {
+    const messagesContainer = document.getElementById('chat-messages');
+    const loaded = messagesContainer.querySelectorAll('[data-message-id]');
+    const newest = loaded[loaded.length - 1];
+    if (!newest || !appState.hasNewerMessages || appState.loadingNewerMessages) return;
+
+    appState.loadingNewerMessages = true;
+    const chatId = appState.currentChatId;
+    try {
+        const response = await api.getMessages(chatId, { after: newest.dataset.messageId });
+        if (chatId !== appState.currentChatId) return;
+
+        appState.hasNewerMessages = response.hasMore;
+        response.messages.forEach(message => {
+            messagesContainer.appendChild(createMessageElement(message));
+        });
+        updateMessageStatuses();
+        markCurrentChatRead();
+    } catch (error) {
+        showError('Failed to load newer messages');
+    } finally {
+        appState.loadingNewerMessages = false;
+    }
+}
+
+function displayMessage(message) {
+    const messagesContainer = document.getElementById('chat-messages');
+    if (messagesContainer.querySelector(`[data-message-id="${message._id}"]`)) {
+        return;
+    }
+
+    // Older context is on screen, so appending would leave a gap. Incoming
+    // messages load when scrolling down; our own jump to the newest page.
+    if (appState.hasNewerMessages) {
+        if (message.sender?._id === appState.user.id) {
+            loadMessages();
+        }
+        return;
+    }
+
+    messagesContainer.appendChild(createMessageElement(message));
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    updateMessageStatuses();
+}
+
+// Tell the server the open chat has been read up to its newest message
+async function markCurrentChatRead() {
+    const received = document.querySelectorAll('#chat-messages .message.received');
+    const newest = received[received.length - 1];
+    if (!appState.currentChatId || !newest || document.hidden) return;
+
+    try {
+        await api.markChatRead(appState.currentChatId, newest.dataset.messageId);
+    } catch (error) {
+        console.error('Failed to mark chat as read:', error);
+    }
+}
+
+function updateReadMarker(data, field, value) {
+    if (data.chatId !== appState.currentChatId || data.userId === appState.user.id) return;
+
+    appState.otherReadMarker = { ...appState.otherReadMarker, [field]: value };
+    updateMessageStatuses();
+}
+
+// Show "Delivered" or "Seen" under the newest message we sent
+function updateMessageStatuses() {
+    const sent = document.querySelectorAll('#chat-messages .message.sent');
+    sent.forEach(messageDiv => {
+        messageDiv.querySelector('.message-status').textContent = '';
+    });
+
+    const newest = sent[sent.length - 1];
+    const marker = appState.otherReadMarker;
+    if (!newest || !marker) return;
+
+    const sentAt = new Date(newest.dataset.createdAt);
+    let status = '';
+    if (marker.readAt && new Date(marker.readAt) >= sentAt) {
+        status = 'Seen';
+    } else if (marker.deliveredAt && new Date(marker.deliveredAt) >= sentAt) {
+        status = 'Delivered';
+    }
+    newest.querySelector('.message-status').textContent = status;
+}
+
+function setTypingIndicator(isTyping) {
+    const status = document.getElementById('chat-user-status');
+    status.textContent = isTyping ? 'typing…' : appState.chatUserStatus;
+    status.classList.toggle('typing', isTyping);
+}
+
+// Let the other person know we are typing. typing-start is repeated every
+// few seconds while typing; the server clears it if the repeats stop.
+function handleTypingInput() {
+    if (!appState.socket || !appState.currentChatId) return;
+
+    if (Date.now() - appState.lastTypingSentAt > 3000) {
+        appState.socket.emit('typing-start', appState.currentChatId);
+        appState.lastTypingSentAt = Date.now();
+    }
+
+    clearTimeout(appState.typingStopTimer);
+    appState.typingStopTimer = setTimeout(stopTyping, 3000);
+}
+
+function stopTyping() {
+    clearTimeout(appState.typingStopTimer);
+    if (appState.lastTypingSentAt && appState.socket && appState.currentChatId) {
+        appState.socket.emit('typing-stop', appState.currentChatId);
+    }
+    appState.lastTypingSentAt = 0;
+}
+
+function createMessageElement(message) {
+    const isMine = message.sender?._id === appState.user.id;
+    const messageDiv = document.createElement('div');
+    messageDiv.dataset.messageId = message._id;
+    messageDiv.dataset.createdAt = message.createdAt;
+    messageDiv.dataset.preview = messagePreviewText(message);
+    messageDiv.className = `message ${isMine ? 'sent' : 'received'}`;
+    
+    let body = '<div class="message-text"></div>';
+    if (message.messageType === 'image') {
+        body = `<img class="message-image" alt="Photo" width="${message.image?.width || 240}" height="${message.image?.height || 240}">
+           ${message.content ? '<div class="message-caption"></div>' : ''}`;
+    } else if (message.messageType === 'location') {
+        body = `
+            <div class="location-card">
+                <div class="location-map"></div>
+                <div class="location-title">
+                    <i class="fas fa-map-marker-alt"></i>
+                    ${message.location.live ? 'Live location' : 'Location'}
+                </div>
+                <div class="location-distance"></div>
+                <div class="location-live-status"></div>
+                <a class="location-link" target="_blank" rel="noopener">Open in Maps</a>
+            </div>
+        `;
+    }
+    
+    const quote = message.replyTo ? `
+        <div class="message-quote" data-reply-to="${message.replyTo._id}">
+            <strong></strong>
+            <span class="message-quote-text"></span>
+        </div>
+    ` : '';
+    
+    messageDiv.innerHTML = `
+        <div class="message-bubble">
+            ${quote}
+            ${body}
+            <div class="message-time">
+                ${new Date(message.createdAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                <span class="message-edited ${message.editedAt ? '' : 'hidden'}" title="Show edit history">· edited</span>
+            </div>
+            <div class="message-status"></div>
+            <div class="message-reactions"></div>
+            <div class="message-actions">
+                <button class="reply-btn" title="Reply"><i class="fas fa-reply"></i></button>
+                <button class="react-btn" title="React"><i class="far fa-smile"></i></button>
+                ${isMine && message.messageType === 'text' ? '<button class="edit-btn" title="Edit"><i class="fas fa-pen"></i></button>' : ''}
+            </div>
+        </div>
+    `;
+    
+    // Message text comes from the other user: only ever set it as text
+    const text = messageDiv.querySelector('.message-text, .message-caption');
+    if (text) text.textContent = message.content;
+    
+    if (message.replyTo) {
+        messageDiv.querySelector('.message-quote strong').textContent = message.replyTo.sender?.firstName || 'Deleted user';
+        messageDiv.querySelector('.message-quote-text').textContent = messagePreviewText(message.replyTo);
+    }
+    
+    renderReactions(messageDiv, message.reactions || []);
+    messageDiv.querySelector('.reply-btn').addEventListener('click', () => startReply(messageDiv));
+    messageDiv.querySelector('.react-btn').addEventListener('click', () => toggleReactionPicker(messageDiv));
+    messageDiv.querySelector('.edit-btn')?.addEventListener('click', () => startEdit(messageDiv));
+    messageDiv.querySelector('.message-edited').addEventListener('click', () => showEditHistory(message._id));
+    messageDiv.querySelector('.message-quote')?.addEventListener('click', (e) => {
+        scrollToMessage(e.currentTarget.dataset.replyTo);
+    });
+    
+    if (message.messageType === 'image') {
+        const img = messageDiv.querySelector('.message-image');
+        loadChatImage(appState.currentChatId, message._id, 'thumb').then(url => {
+            if (url) img.src = url;
+        });
+        img.addEventListener('click', () => openImageViewer(appState.currentChatId, message._id));
+    }
+    
+    if (message.messageType === 'location') {
+        setupLocationCard(messageDiv, message);
+    }
+    
+    return messageDiv;
+}
+
+// Short text describing a message, used in reply quotes
+function messagePreviewText(message) {
+    if (message.messageType === 'image') return message.content || '📷 Photo';
+    if (message.messageType === 'location') return '📍 Location';
+    return message.content;
+}
+
+const QUICK_REACTIONS = ['❤️', '😂', '👍', '😮', '😢', '🔥'];
+
+// Group reactions into chips ("❤️ 2"); clicking one toggles our own
+function renderReactions(messageDiv, reactions) {
+    const container = messageDiv.querySelector('.message-reactions');
+    container.innerHTML = '';
+    messageDiv.reactions = reactions;
+
+    const groups = new Map();
+    reactions.forEach(reaction => {
+        const group = groups.get(reaction.emoji) || { count: 0, mine: false };
+        group.count++;
+        group.mine = group.mine || reaction.user === appState.user.id;
+        groups.set(reaction.emoji, group);
+    });
+
+    groups.forEach((group, emoji) => {
+        const chip = document.createElement('button');
+        chip.className = `reaction-chip ${group.mine ? 'mine' : ''}`;
+        chip.textContent = `${emoji} ${group.count}`;
+        chip.addEventListener('click', () => toggleReaction(messageDiv, emoji, group.mine));
+        container.appendChild(chip);
+    });
+}
+
+function toggleReactionPicker(messageDiv) {
+    const existing = messageDiv.querySelector('.reaction-picker');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+    QUICK_REACTIONS.forEach(emoji => {
+        const btn = document.createElement('button');
+        btn.textContent = emoji;
+        btn.addEventListener('click', () => {
+            picker.remove();
+            const mine = messageDiv.reactions.some(r => r.emoji === emoji && r.user === appState.user.id);
+            toggleReaction(messageDiv, emoji, mine);
+        });
+        picker.appendChild(btn);
+    });
+    messageDiv.querySelector('.message-actions').after(picker);
+}
+
+async function toggleReaction(messageDiv, emoji, mine) {
+    const messageId = messageDiv.dataset.messageId;
+    try {
+        const response = mine
+            ? await api.removeReaction(appState.currentChatId, messageId, emoji)
+            : await api.addReaction(appState.currentChatId, messageId, emoji);
+        renderReactions(messageDiv, response.reactions);
+    } catch (error) {
+        showError('Failed to update reaction');
+    }
+}
+
+// Replies and edits show what they refer to above the input
+function setComposerContext(text) {
+    document.getElementById('composer-context-text').textContent = text;
+    document.getElementById('composer-context').classList.remove('hidden');
+    document.getElementById('message-input').focus();
+}
+
+function clearComposerContext() {
+    const wasEditing = !!appState.editingMessageId;
+    appState.replyTo = null;
+    appState.editingMessageId = null;
+    document.getElementById('composer-context').classList.add('hidden');
+    if (wasEditing) {
+        document.getElementById('message-input').value = '';
+    }
+}
+
+function startReply(messageDiv) {
+    clearComposerContext();
+    appState.replyTo = messageDiv.dataset.messageId;
+    setComposerContext(`Replying to: ${messageDiv.dataset.preview}`);
+}
+
+function startEdit(messageDiv) {
+    clearComposerContext();
+    appState.editingMessageId = messageDiv.dataset.messageId;
+    document.getElementById('message-input').value = messageDiv.querySelector('.message-text').textContent;
+    setComposerContext('Editing message');
+}
+
+function applyMessageEdit(messageDiv, content) {
+    messageDiv.querySelector('.message-text').textContent = content;
+    messageDiv.querySelector('.message-edited').classList.remove('hidden');
+    messageDiv.dataset.preview = content;
+}
+
+async function showEditHistory(messageId) {
+    try {
+        const response = await api.getEditHistory(appState.currentChatId, messageId);
+        const list = document.getElementById('edit-history-list');
+        list.innerHTML = '';
+
+        // Each entry is the text as it was until that edit
+        response.history.forEach(version => {
+            const item = document.createElement('li');
+            item.innerHTML = `<span class="edit-history-time"></span><div></div>`;
+            item.querySelector('.edit-history-time').textContent = `Before ${new Date(version.editedAt).toLocaleString()}`;
+            item.querySelector('div').textContent = version.content;
+            list.appendChild(item);
+        });
+
+        document.getElementById('edit-history-modal').classList.add('active');
+    } catch (error) {
+        showError('Failed to load edit history');
+    }
+}
+
+function scrollToMessage(messageId) {
+    const target = document.querySelector(`.message[data-message-id="${messageId}"]`);
+    if (!target) return;
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    target.classList.add('highlight');
+    setTimeout(() => target.classList.remove('highlight'), 1500);
+}
+
+function formatDistance(distanceKm) {
+    if (distanceKm === undefined || distanceKm === null) return '';
+    return distanceKm < 1
+        ? `${Math.round(distanceKm * 1000)} m away`
+        : `${distanceKm.toFixed(1)} km away`;
+}
+
+function isLiveLocationActive(location) {
+    return location.live && !location.stoppedAt && new Date(location.liveUntil) > new Date();
+}
+
+function setupLocationCard(messageDiv, message) {
+    const location = message.location;
+    const mapDiv = messageDiv.querySelector('.location-map');
+
+    // The Maps script is optional (it needs an API key); fall back to the link
+    if (window.google?.maps) {
+        const position = { lat: location.latitude, lng: location.longitude };
+        const map = new google.maps.Map(mapDiv, {
+            center: position,
+            zoom: 16,
+            disableDefaultUI: true
+        });
+        const marker = new google.maps.Marker({ position, map });
+        appState.locationMaps.set(message._id, { map, marker });
+    } else {
+        mapDiv.classList.add('hidden');
+    }
+
+    updateLocationCard(messageDiv, message._id, location);
+
+    if (isLiveLocationActive(location)) {
+        messageDiv.querySelector('.location-live-status').textContent =
+            `Live until ${new Date(location.liveUntil).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`;
+
+        if (message.sender?._id === appState.user.id) {
+            const stopBtn = document.createElement('button');
+            stopBtn.className = 'btn-outline btn-small stop-location-btn';
+            stopBtn.textContent = 'Stop sharing';
+            stopBtn.addEventListener('click', () => stopLiveShare(message._id));
+            messageDiv.querySelector('.location-card').appendChild(stopBtn);
+        }
+
+        // The server closes expired shares; don't wait for it to update the card
+        setTimeout(() => markLocationEnded(messageDiv), new Date(location.liveUntil) - new Date());
+    } else if (location.live) {
+        markLocationEnded(messageDiv);
+    }
+}
+
+function updateLocationCard(messageDiv, messageId, location) {
+    messageDiv.querySelector('.location-distance').textContent = formatDistance(location.distanceKm);
+    messageDiv.querySelector('.location-link').href =
+        `https://www.google.com/maps?q=${location.latitude},${location.longitude}`;
+
+    const mapView = appState.locationMaps.get(messageId);
+    if (mapView) {
+        const position = { lat: location.latitude, lng: location.longitude };
+        mapView.marker.setPosition(position);
+        mapView.map.panTo(position);
+    }
+}
+
+function markLocationEnded(messageDiv) {
+    messageDiv.querySelector('.location-live-status').textContent = 'Live location ended';
+    messageDiv.querySelector('.stop-location-btn')?.remove();
+}
+
+function getDevicePosition(options = {}) {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation is not supported'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve(position.coords),
+            () => reject(new Error('Unable to get location')),
+            { enableHighAccuracy: true, ...options }
+        );
+    });
+}
+
+// Emit a socket event and wait for the server's acknowledgement
+function emitWithAck(event, payload) {
+    return new Promise((resolve, reject) => {
+        if (!appState.socket) {
+            reject(new Error('Not connected'));
+            return;
+        }
+        appState.socket.emit(event, payload, (result) => {
+            if (result && result.ok) {
+                resolve(result);
+            } else {
+                reject(new Error(result?.message || 'Request failed'));
+            }
+        });
+    });
+}
+
+// Send a one-off pin (no duration) or start a live share
+async function shareLocation(durationMinutes) {
+    document.getElementById('location-share-modal').classList.remove('active');
+
+    if (durationMinutes && appState.liveShare) {
+        showError('You are already sharing your live location');
+        return;
+    }
+
+    try {
+        const coords = await getDevicePosition();
+        const result = await emitWithAck('share-location', {
+            chatId: appState.currentChatId,
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy,
+            durationMinutes: durationMinutes || undefined
+        });
+
+        displayMessage(result.message);
+        if (durationMinutes) {
+            startLiveShare(result.message);
+        }
+    } catch (error) {
+        showError(error.message || 'Failed to share location');
+    }
+}
+
+// Keep sending our position (at most every 10 seconds) until the share ends
+function startLiveShare(message) {
+    const share = {
+        messageId: message._id,
+        lastSentAt: Date.now(),
+        watchId: null,
+        expiryTimer: setTimeout(endLiveShare, new Date(message.location.liveUntil) - new Date())
+    };
+
+    share.watchId = navigator.geolocation.watchPosition(async (position) => {
+        if (Date.now() - share.lastSentAt < 10000) return;
+        share.lastSentAt = Date.now();
+
+        try {
+            await emitWithAck('update-location', {
+                messageId: share.messageId,
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            });
+        } catch (error) {
+            // The share ended (expired, stopped elsewhere or deleted)
+            endLiveShare();
+        }
+    }, (error) => {
+        console.error('Live location error:', error);
+    }, { enableHighAccuracy: true });
+
+    appState.liveShare = share;
+}
+
+function endLiveShare() {
+    const share = appState.liveShare;
+    if (!share) return;
+
+    navigator.geolocation.clearWatch(share.watchId);
+    clearTimeout(share.expiryTimer);
+    appState.liveShare = null;
+}
+
+async function stopLiveShare(messageId) {
+    try {
+        await emitWithAck('stop-location', { messageId });
+        if (appState.liveShare?.messageId === messageId) {
+            endLiveShare();
+        }
+    } catch (error) {
+        showError('Failed to stop sharing location');
+    }
+}
+
+// Object URL for a chat image, fetched once per chat visit
+async function loadChatImage(chatId, messageId, size) {
+    const key = `${messageId}:${size || 'full'}`;
+    if (!appState.imageUrls.has(key)) {
+        try {
+            const blob = await api.getChatImage(chatId, messageId, size);
+            appState.imageUrls.set(key, URL.createObjectURL(blob));
+        } catch (error) {
+            console.error('Failed to load image:', error);
+            return null;
+        }
+    }
+    return appState.imageUrls.get(key);
+}
+
+async function openImageViewer(chatId, messageId) {
+    const url = await loadChatImage(chatId, messageId);
+    if (!url) {
+        showError('Failed to load photo');
+        return;
+    }
+
+    document.getElementById('image-viewer-img').src = url;
+    document.getElementById('image-viewer-modal').classList.add('active');
+}
+
+// Send the picked photo, using any typed text as its caption
+async function sendImage(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > 5 * 1024 * 1024) {
+        showError('Image must be 5MB or smaller');
+        return;
+    }
+
+    const input = document.getElementById('message-input');
+    const caption = input.value.trim();
+    stopTyping();
+
+    try {
+        const response = await api.sendImage(appState.currentChatId, file, caption, appState.replyTo);
+        input.value = '';
+        clearComposerContext();
+        
+        displayMessage(response.message);
+    } catch (error) {
+        showError(error.message || 'Failed to send photo');
+    }
+}
+
+async function sendMessage() {
+    const input = document.getElementById('message-input');
+    const content = input.value.trim();
+    
+    if (!content) return;
+    
+    stopTyping();
+
+    if (appState.editingMessageId) {
+        try {
+            const messageId = appState.editingMessageId;
+            await api.editMessage(appState.currentChatId, messageId, content);
+            const messageDiv = document.querySelector(`.message[data-message-id="${messageId}"]`);
+            if (messageDiv) {
+                applyMessageEdit(messageDiv, content);
+            }
+            clearComposerContext();
+        } catch (error) {
+            showError(error.message || 'Failed to edit message');
+        }
+        return;
+    }
+
+    try {
+        const response = await api.sendMessage(appState.currentChatId, content, appState.replyTo);
+        input.value = '';
+        clearComposerContext();
+        
+        displayMessage(response.message);
+    } catch (error) {
+        showError('Failed to send message');
+    }
+}
+
+// Email Verification Handler
+async function handleEmailVerification(token) {
+    try {
+        // Show loading state
+        document.body.innerHTML = `
+            <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif;">
+                <div style="text-align: center; padding: 20px;">
+                    <h2 style="color: #e91e63;">Verifying your email...</h2>
+                    <div style="margin: 20px 0;">
+                        <div style="width: 40px; height: 40px; border: 4px solid #f3f3f3; border-top: 4px solid #e91e63; border-radius: 50%; animation: spin 1s linear infinite; margin: 0 auto;"></div>
+                    </div>
+                </div>
+            </div>
+            <style>
+                @keyframes spin {
+                    0% { transform: rotate(0deg); }
+                    100% { transform: rotate(360deg); }
+                }
+            </style>
+        `;
+
+        const response = await fetch(`/api/auth/verify-email?token=${token}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
 
         const data = await response.json();
 
@@ -1008,6 +3033,67 @@ async function handleEmailVerification(token) {
     }
 }
 
+// Email change confirmation / revert link handler
+// Full-page outcome of following a link from an email
+function renderEmailLinkResult(success, heading, message) {
+    const color = success ? '#4CAF50' : '#f44336';
+    document.body.innerHTML = `
+        <div style="display: flex; flex-direction: column; align-items: center; justify-content: center; height: 100vh; font-family: Arial, sans-serif;">
+            <div style="text-align: center; padding: 20px; max-width: 400px;">
+                <div style="color: ${color}; font-size: 60px; margin-bottom: 20px;">${success ? '✓' : '✗'}</div>
+                <h2 style="color: ${color}; margin-bottom: 10px;">${heading}</h2>
+                <p id="email-link-message" style="color: #666; margin-bottom: 30px;"></p>
+                <button onclick="window.location.href='/';" style="background-color: #e91e63; color: white; border: none; padding: 12px 30px; border-radius: 25px; font-size: 16px; cursor: pointer;">Continue to UniMatch</button>
+            </div>
+        </div>
+    `;
+    document.getElementById('email-link-message').textContent = message;
+}
+
+async function handleEmailChangeLink(endpoint, token, title) {
+    const renderResult = renderEmailLinkResult;
+    
+    try {
+        const response = await fetch(`/api/profile/${endpoint}?token=${encodeURIComponent(token)}`);
+        const data = await response.json();
+        
+        if (response.ok) {
+            renderResult(true, title, data.message);
+        } else {
+            renderResult(false, 'Link Not Valid', data.message || 'This link is invalid or has expired.');
+        }
+    } catch (error) {
+        console.error('Email change link error:', error);
+        renderResult(false, 'Something Went Wrong', 'Please try again.');
+    }
+}
+
+async function handleDigestUnsubscribe(params) {
+    try {
+        const response = await fetch('/api/notifications/digest/unsubscribe', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                user: params.get('user'),
+                category: params.get('category'),
+                token: params.get('token')
+            })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            renderEmailLinkResult(true, 'Unsubscribed', data.message);
+        } else {
+            renderEmailLinkResult(false, 'Link Not Valid', data.message || 'This link is invalid.');
+        }
+    } catch (error) {
+        console.error('Digest unsubscribe error:', error);
+        renderEmailLinkResult(false, 'Something Went Wrong', 'Please try again.');
+    }
+}
+
 function showCardPhoto(cardImage, photos, index, dots) {
     const photoUrl = photos[index].url;
     cardImage.style.backgroundImage = `url('${photoUrl}')`;
@@ -1026,18 +3112,28 @@ async function initializeApp() {
         try {
             const response = await api.getCurrentUser();
             appState.setUser(response.user);
+            await syncTimeZone();
             
             if (response.user.profileCompleted) {
                 appState.showScreen('main-app-screen');
                 await loadPotentialMatches();
                 await loadMatches();
+
+                // Opened from a notification (see public/sw.js)
+                const chatWith = new URLSearchParams(window.location.search).get('chatWith');
+                if (chatWith) {
+                    window.history.replaceState({}, '', '/');
+                    await openChatWithUser(chatWith);
+                }
             } else {
                 appState.showScreen('profile-setup-screen');
             }
             
             initializeSocket();
+            registerServiceWorker();
         } catch (error) {
             appState.setToken(null);
+            appState.setRefreshToken(null);
             appState.showScreen('login-screen');
         }
     } else {
@@ -1056,6 +3152,27 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
     
+    if (verificationToken && window.location.pathname === '/confirm-email-change') {
+        handleEmailChangeLink('confirm-email-change', verificationToken, 'Email Change Confirmed');
+        return;
+    }
+    
+    if (verificationToken && window.location.pathname === '/unsubscribe-digest') {
+        handleDigestUnsubscribe(urlParams);
+        return;
+    }
+    
+    if (verificationToken && window.location.pathname === '/revert-email-change') {
+        handleEmailChangeLink('revert-email-change', verificationToken, 'Email Change Undone');
+        return;
+    }
+    
+    if (verificationToken && window.location.pathname === '/reset-password') {
+        document.getElementById('reset-password-form').addEventListener('submit', handleResetPassword);
+        appState.showScreen('reset-password-screen');
+        return;
+    }
+    
     // Initialize app after a short delay to show loading screen
     setTimeout(initializeApp, 1500);
     
@@ -1075,6 +3192,32 @@ document.addEventListener('DOMContentLoaded', () => {
         appState.showScreen('login-screen');
     });
     
+    document.getElementById('show-forgot-password').addEventListener('click', (e) => {
+        e.preventDefault();
+        appState.showScreen('forgot-password-screen');
+    });
+    
+    document.getElementById('forgot-back-to-login').addEventListener('click', (e) => {
+        e.preventDefault();
+        appState.showScreen('login-screen');
+    });
+    
+    document.getElementById('forgot-password-form').addEventListener('submit', handleForgotPassword);
+    
+    // Two-factor login handlers
+    document.getElementById('two-factor-form').addEventListener('submit', handleTwoFactorLogin);
+    
+    document.getElementById('toggle-recovery-code').addEventListener('click', (e) => {
+        e.preventDefault();
+        const useRecovery = !document.getElementById('two-factor-code-group').classList.contains('hidden');
+        toggleRecoveryCodeInput(useRecovery);
+    });
+    
+    document.getElementById('cancel-two-factor').addEventListener('click', (e) => {
+        e.preventDefault();
+        showTwoFactorForm(false);
+    });
+    
     // Profile setup handlers - attach to all photo inputs
     document.querySelectorAll('[id^="photo-input-"]').forEach(input => {
         if (input) {
@@ -1134,13 +3277,68 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    document.getElementById('super-like-btn').addEventListener('click', () => {
+        const topCard = document.querySelector('.user-card');
+        if (topCard && appState.potentialMatches.length > 0) {
+            superLikeUser(appState.potentialMatches[0], topCard);
+        }
+    });
+    
+    document.getElementById('rewind-btn').addEventListener('click', rewindLastSwipe);
+    document.getElementById('likes-received-more').addEventListener('click', () => {
+        loadLikesReceived(appState.likesReceivedPage + 1);
+    });
+    
     // Chat handlers
-    document.getElementById('back-to-matches').addEventListener('click', () => {
-        appState.showScreen('main-app-screen');
-        appState.showTab('matches');
+    document.getElementById('back-to-matches').addEventListener('click', closeChat);
+    document.getElementById('pin-chat-btn').addEventListener('click', () => {
+        updateChatSettings({ pinned: !appState.currentChatSettings.pinned });
+    });
+    document.getElementById('archive-chat-btn').addEventListener('click', () => {
+        updateChatSettings({ archived: !appState.currentChatSettings.archived });
+    });
+    document.getElementById('mute-chat-btn').addEventListener('click', () => {
+        if (appState.currentChatSettings.muted) {
+            updateChatSettings({ muted: false });
+        } else {
+            document.getElementById('mute-chat-modal').classList.add('active');
+        }
+    });
+    document.querySelectorAll('.mute-option').forEach(btn => {
+        btn.addEventListener('click', () => muteChat(parseInt(btn.dataset.hours, 10) || null));
+    });
+    document.getElementById('archived-chats-toggle').addEventListener('click', () => {
+        appState.showArchived = !appState.showArchived;
+        displayMatches();
     });
     
     document.getElementById('send-message-btn').addEventListener('click', sendMessage);
+    document.getElementById('cancel-composer-context').addEventListener('click', clearComposerContext);
+    document.getElementById('attach-image-btn').addEventListener('click', () => {
+        document.getElementById('chat-image-input').click();
+    });
+    document.getElementById('chat-image-input').addEventListener('change', sendImage);
+    document.getElementById('share-location-btn').addEventListener('click', () => {
+        document.getElementById('location-share-modal').classList.add('active');
+    });
+    document.querySelectorAll('.location-share-option').forEach(btn => {
+        btn.addEventListener('click', () => shareLocation(parseInt(btn.dataset.duration, 10) || null));
+    });
+    document.getElementById('chat-messages').addEventListener('scroll', (e) => {
+        if (e.target.scrollTop === 0) {
+            loadOlderMessages();
+        } else if (e.target.scrollTop + e.target.clientHeight >= e.target.scrollHeight - 1) {
+            loadNewerMessages();
+        }
+    });
+    document.getElementById('message-input').addEventListener('input', handleTypingInput);
+    document.getElementById('message-search-input').addEventListener('input', handleMessageSearchInput);
+    document.getElementById('message-input').addEventListener('blur', stopTyping);
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            markCurrentChatRead();
+        }
+    });
     document.getElementById('message-input').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             sendMessage();
@@ -1173,13 +3371,91 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Profile handlers
     document.getElementById('edit-profile-details-btn').addEventListener('click', () => {
+        document.getElementById('setup-interests').value = (appState.user.interests || []).join(', ');
         appState.showScreen('profile-setup-screen');
     });
     
+    // Email change handlers
+    document.getElementById('change-email-btn').addEventListener('click', () => {
+        document.getElementById('change-email-modal').classList.add('active');
+    });
+    document.getElementById('confirm-change-email').addEventListener('click', handleChangeEmail);
+    
+    // Account data handlers
+    document.getElementById('export-data-btn').addEventListener('click', exportMyData);
+    document.getElementById('delete-account-btn').addEventListener('click', requestAccountDeletion);
+    document.getElementById('cancel-deletion-btn').addEventListener('click', cancelAccountDeletion);
+    
+    // Two-factor settings handlers
+    document.getElementById('show-activity-status').addEventListener('change', updateActivityStatusPrivacy);
+    document.getElementById('push-toggle-btn').addEventListener('click', togglePushNotifications);
+    document.querySelectorAll('.notification-category').forEach(checkbox => {
+        checkbox.addEventListener('change', () => updateNotificationPreference(
+            { [checkbox.dataset.category]: checkbox.checked },
+            () => { checkbox.checked = !checkbox.checked; }
+        ));
+    });
+    document.querySelectorAll('.digest-option').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            updateDigestOptionsState();
+            updateNotificationPreference(
+                { emailDigest: { [checkbox.dataset.option]: checkbox.checked } },
+                () => {
+                    checkbox.checked = !checkbox.checked;
+                    updateDigestOptionsState();
+                }
+            );
+        });
+    });
+    document.getElementById('quiet-hours-enabled').addEventListener('change', updateQuietHours);
+    document.getElementById('quiet-hours-start').addEventListener('change', updateQuietHours);
+    document.getElementById('quiet-hours-end').addEventListener('change', updateQuietHours);
+    if (pushSupported()) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'notification-click') {
+                handleNotificationClick(event.data.data);
+            }
+        });
+    }
+    document.getElementById('two-factor-toggle-btn').addEventListener('click', (e) => {
+        if (e.currentTarget.dataset.enabled === 'true') {
+            document.getElementById('two-factor-disable-modal').classList.add('active');
+        } else {
+            startTwoFactorSetup();
+        }
+    });
+    
+    document.getElementById('confirm-two-factor').addEventListener('click', confirmTwoFactorSetup);
+    document.getElementById('confirm-disable-two-factor').addEventListener('click', confirmDisableTwoFactor);
+    
+    document.getElementById('two-factor-done').addEventListener('click', () => {
+        document.getElementById('two-factor-setup-modal').classList.remove('active');
+    });
+    
+    document.getElementById('logout-all-btn').addEventListener('click', async () => {
+        if (!confirm('Log out of UniMatch on all of your devices?')) return;
+        
+        try {
+            await api.revokeAllSessions();
+        } catch (error) {
+            console.error('Logout all error:', error);
+        }
+        disconnectSocket();
+        appState.setToken(null);
+        appState.setRefreshToken(null);
+        appState.setUser(null);
+        appState.showScreen('login-screen');
+    });
+    
     document.getElementById('logout-btn').addEventListener('click', async () => {
+        disconnectSocket();
         try {
+            await disablePushNotifications().catch(error => {
+                console.error('Failed to remove push subscription:', error);
+            });
             await api.logout();
             appState.setToken(null);
+            appState.setRefreshToken(null);
             appState.setUser(null);
             appState.showScreen('auth-screen');
             appState.showAuthForm('login');
@@ -1187,6 +3463,7 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error('Logout error:', error);
             // Force logout even if API call fails
             appState.setToken(null);
+            appState.setRefreshToken(null);
             appState.setUser(null);
             appState.showScreen('auth-screen');
             appState.showAuthForm('login');
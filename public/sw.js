@@ -0,0 +1,36 @@
+// Service worker: shows Web Push notifications sent by the server (see
+// utils/push) and brings the app to the front when one is clicked.
+
+self.addEventListener('push', (event) => {
+    let notification = {};
+    try {
+        notification = event.data ? event.data.json() : {};
+    } catch (error) {
+        notification = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(notification.title || 'UniMatch', {
+        body: notification.body,
+        tag: notification.tag,
+        renotify: !!notification.tag,
+        data: notification.data || {}
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            await windows[0].focus();
+            windows[0].postMessage({ type: 'notification-click', data });
+            return;
+        }
+
+        // No open tab: start the app, opening the chat for message notifications
+        const url = data.type === 'message' || data.type === 'match' ? `/?chatWith=${data.userId}` : '/';
+        await self.clients.openWindow(url);
+    })());
+});
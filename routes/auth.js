@@ -1,54 +1,177 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
-const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const University = require('../models/University');
+const LoginEvent = require('../models/LoginEvent');
 const auth = require('../middleware/auth');
+const totp = require('../utils/totp');
+const mailer = require('../utils/mailer');
+const { hashToken } = require('../utils/tokens');
+const loginThrottle = require('../utils/loginThrottle');
+const realtime = require('../socket/realtime');
 
 const router = express.Router();
 
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: process.env.EMAIL_PORT,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Generate short-lived JWT access token bound to a session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens are "<sessionId>.<secret>", only the secret's hash is stored
+const generateRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    return null;
   }
-});
+  return { sessionId, secret };
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Start a new device session and issue its first token pair
+const createSession = async (user, req) => {
+  const secret = generateRefreshSecret();
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(secret),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  await session.save();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
 };
 
-// Send verification email
-const sendVerificationEmail = async (user, token) => {
-  const verificationUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
-  
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: user.email,
-    subject: 'Verify Your University Dating App Account',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #e91e63;">Welcome to University Dating App!</h2>
-        <p>Hi ${user.firstName},</p>
-        <p>Thank you for signing up! Please verify your university email address by clicking the button below:</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${verificationUrl}" style="background-color: #e91e63; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Verify Email</a>
-        </div>
-        <p>Or copy and paste this link in your browser:</p>
-        <p style="word-break: break-all; color: #666;">${verificationUrl}</p>
-        <p>This link will expire in 24 hours.</p>
-        <p>Best regards,<br>University Dating App Team</p>
-      </div>
-    `
+// Record a login attempt in the audit trail
+const logLoginEvent = (req, { user, email, outcome, newDevice = false }) => {
+  return LoginEvent.create({
+    user: user ? user._id : undefined,
+    email: user ? user.email : email,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    outcome,
+    newDevice
+  });
+};
+
+// Reject the attempt if the account or IP is in a backoff period
+const rejectIfLocked = async (req, res, email) => {
+  const retryAfter = await loginThrottle.getLockout(email, req.ip);
+  if (retryAfter === 0) return false;
+
+  await logLoginEvent(req, { email, outcome: 'locked' });
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
+  });
+  return true;
+};
+
+// Record a failed attempt against the account and IP
+const recordLoginFailure = async (req, { user, email, outcome }) => {
+  await loginThrottle.recordFailure(user ? user.email : email, req.ip);
+  await logLoginEvent(req, { user, email, outcome });
+};
+
+// Update activity, start a session and build the login response
+const completeLogin = async (user, req) => {
+  user.lastActive = new Date();
+  await user.save();
+
+  await loginThrottle.recordSuccess(user.email);
+
+  // Alert the owner when a login succeeds from a device we haven't seen
+  const userAgent = req.get('User-Agent');
+  const [hasHistory, knownDevice] = await Promise.all([
+    LoginEvent.exists({ user: user._id, outcome: 'success' }),
+    LoginEvent.exists({ user: user._id, outcome: 'success', userAgent })
+  ]);
+  const newDevice = !!hasHistory && !knownDevice;
+  await logLoginEvent(req, { user, outcome: 'success', newDevice });
+
+  if (newDevice) {
+    mailer.send('newDeviceLogin', user.email, {
+      firstName: user.firstName,
+      device: userAgent || 'Unknown device',
+      ip: req.ip,
+      time: new Date().toUTCString(),
+      resetUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/`
+    });
+  }
+
+  // Start a session for this device
+  const { token, refreshToken } = await createSession(user, req);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      profileCompleted: user.isProfileComplete(),
+      timezone: user.timezone,
+      deletionScheduledFor: user.deletionScheduledFor
+    }
   };
+};
+
+// Temporary token proving the password step of a 2FA login succeeded
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa-challenge' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+// Generate one-time recovery codes, returns the plain codes and their hashes
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+// Check a TOTP or recovery code against the user's enabled 2FA.
+// Consumes recovery codes and records the TOTP step; caller must save the user.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Queue verification email
+const sendVerificationEmail = (user, token) => {
+  const verificationUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+  mailer.send('verification', user.email, { firstName: user.firstName, verificationUrl });
+};
 
-  await transporter.sendMail(mailOptions);
+// Queue password reset email
+const sendPasswordResetEmail = (user, token) => {
+  const resetUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+  mailer.send('passwordReset', user.email, { firstName: user.firstName, resetUrl });
 };
 
 // Register
@@ -75,8 +198,11 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Extract university from email
-    const university = email.split('@')[1];
+    // Resolve university from the email domain
+    const university = await University.resolve(email);
+    if (!university) {
+      return res.status(400).json({ message: 'Your university is not supported yet. Please use your university email address.' });
+    }
 
     // Generate email verification token
     const emailVerificationToken = crypto.randomBytes(32).toString('hex');
@@ -91,15 +217,16 @@ router.post('/register', [
       age,
       gender,
       interestedIn,
-      university,
+      university: university.name,
+      universityId: university._id,
       emailVerificationToken,
       emailVerificationExpires
     });
 
     await user.save();
 
-    // Send verification email
-    await sendVerificationEmail(user, emailVerificationToken);
+    // Queue verification email, a mail outage must not fail the registration
+    sendVerificationEmail(user, emailVerificationToken);
 
     res.status(201).json({
       message: 'Registration successful! Please check your email to verify your account.',
@@ -124,44 +251,42 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Back off after repeated failures for this account or IP
+    if (await rejectIfLocked(req, res, email)) return;
+
     // Find user
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginFailure(req, { email, outcome: 'unknown-user' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(req, { user, outcome: 'invalid-password' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check if email is verified
     if (!user.isEmailVerified) {
+      await logLoginEvent(req, { user, outcome: 'unverified' });
       return res.status(400).json({ 
         message: 'Please verify your email before logging in',
         needsVerification: true
       });
     }
 
-    // Update last active and online status
-    user.lastActive = new Date();
-    user.isOnline = true;
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
+    // Password is correct, but a second factor is still needed
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await logLoginEvent(req, { user, outcome: '2fa-required' });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        profileCompleted: user.isProfileComplete()
-      }
-    });
+    res.json(await completeLogin(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
@@ -218,7 +343,7 @@ router.post('/resend-verification', [
     user.emailVerificationExpires = emailVerificationExpires;
     await user.save();
 
-    await sendVerificationEmail(user, emailVerificationToken);
+    sendVerificationEmail(user, emailVerificationToken);
 
     res.json({ message: 'Verification email sent successfully' });
   } catch (error) {
@@ -227,6 +352,368 @@ router.post('/resend-verification', [
   }
 });
 
+// Forgot password
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    const genericResponse = { message: 'If an account exists for this email, a password reset link has been sent.' };
+
+    // Don't reveal whether the email is registered
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Generate reset token, only its hash is stored
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+    await user.save();
+
+    sendPasswordResetEmail(user, resetToken);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Single use: clear the token, and invalidate every existing JWT
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-reset');
+    realtime.disconnectUser(user._id);
+
+    res.json({ message: 'Password reset successfully! You can now log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Complete a 2FA login with a TOTP or recovery code
+router.post('/2fa/verify', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    if (decoded.purpose !== '2fa-challenge') {
+      return res.status(401).json({ message: 'Invalid login challenge' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid login challenge' });
+    }
+
+    // Codes are only 6 digits, so guessing is throttled like passwords
+    if (await rejectIfLocked(req, res, user.email)) return;
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await recordLoginFailure(req, { user, outcome: '2fa-failed' });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const response = await completeLogin(user, req);
+    if (recoveryCode) {
+      response.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Start 2FA enrollment
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUri = totp.buildOtpauthUri(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm enrollment with a first code and enable 2FA
+router.post('/2fa/enable', auth, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Disable 2FA (requires password and a current code)
+router.post('/2fa/disable', auth, [
+  body('password').exists(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session has expired, please log in again' });
+    }
+
+    // A rotated-out token being presented again means it was stolen: kill the session
+    if (session.refreshTokenHash !== Session.hashToken(parsed.secret)) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'token-reuse';
+      await session.save();
+      realtime.disconnectSession(session._id);
+      console.warn(`Refresh token reuse detected for session ${session._id}`);
+      return res.status(401).json({ message: 'Session has been revoked, please log in again' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const secret = generateRefreshSecret();
+    session.refreshTokenHash = Session.hashToken(secret);
+    session.lastUsedAt = new Date();
+    session.ip = req.ip;
+    session.userAgent = req.get('User-Agent') || session.userAgent;
+    await session.save();
+
+    res.json({
+      token: generateAccessToken(user._id, session._id),
+      refreshToken: `${session._id}.${secret}`
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List active sessions (devices)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', auth, [
+  param('sessionId').isMongoId().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.userId });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'remote-logout';
+      await session.save();
+    }
+    realtime.disconnectSession(session._id);
+
+    res.json({ message: 'Device logged out successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all sessions, including the current one
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.userId, 'remote-logout');
+    realtime.disconnectUser(req.userId);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recent login activity for the current user
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const events = await LoginEvent.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('ip userAgent outcome newDevice createdAt');
+
+    res.json({ events });
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
@@ -248,9 +735,14 @@ router.get('/me', auth, async (req, res) => {
         course: user.course,
         year: user.year,
         bio: user.bio,
+        interests: user.interests,
         photos: user.photos,
         profileCompleted: user.isProfileComplete(),
-        preferences: user.preferences
+        preferences: user.preferences,
+        privacy: user.privacy,
+        twoFactorEnabled: user.twoFactor.enabled,
+        timezone: user.timezone,
+        deletionScheduledFor: user.deletionScheduledFor
       }
     });
   } catch (error) {
@@ -262,12 +754,12 @@ router.get('/me', auth, async (req, res) => {
 // Logout
 router.post('/logout', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    if (user) {
-      user.isOnline = false;
-      user.lastActive = new Date();
-      await user.save();
-    }
+    // Presence follows the socket connections this closes
+    await Session.findByIdAndUpdate(req.sessionId, {
+      revokedAt: new Date(),
+      revokedReason: 'logout'
+    });
+    realtime.disconnectSession(req.sessionId);
 
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
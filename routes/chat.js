@@ -1,40 +1,200 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
+const Message = require('../models/Message');
 const User = require('../models/User');
+const Match = require('../models/Match');
 const auth = require('../middleware/auth');
+const realtime = require('../socket/realtime');
+const { messagePreview, withDistance, publishMessage } = require('../utils/chatMessages');
+const { buildSnippet } = require('../utils/search');
+const { getUnreadSummary, notifyUnreadChanged } = require('../utils/inbox');
+const { MAX_IMAGE_SIZE, imageFileFilter } = require('../utils/uploads');
+const {
+  InvalidImageError,
+  chatImagePath,
+  saveChatImage,
+  removeChatImage
+} = require('../utils/chatImages');
 
 const router = express.Router();
 
-// Get all chats for current user
-router.get('/', auth, async (req, res) => {
+// Chat images are re-encoded before anything is written, so keep the upload in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE
+  },
+  fileFilter: imageFileFilter
+});
+
+// Run the single-image upload, answering bad files with a 400
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : error.message;
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
+// Load the message a new message replies to; it must be in the same chat
+const findReplyTarget = async (chat, replyTo) => {
+  if (!replyTo) return null;
+  return Message.findOne({ _id: replyTo, chat: chat._id }).select('_id');
+};
+
+// Ids in /:chatId/messages/:messageId routes; malformed ones are a 400
+// rather than a cast error
+const messageParams = [
+  param('chatId').isMongoId().withMessage('Invalid chat id'),
+  param('messageId').isMongoId().withMessage('Invalid message id')
+];
+
+// A single emoji, including skin tones, ZWJ sequences and flags
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f)*$/u;
+const isEmoji = value => typeof value === 'string' && value.length <= 16 && EMOJI_PATTERN.test(value);
+
+const SEARCH_PAGE_SIZE = 20;
+
+// Most chats a user can pin, and the timed mute options (hours)
+const MAX_PINNED_CHATS = 5;
+const MUTE_DURATIONS = [1, 8, 24, 168];
+
+// Get the current user's inbox: pinned chats first, then by latest message.
+// `?archived=true` (or `false`) lists only archived (or unarchived) chats.
+router.get('/', auth, [
+  query('archived').optional().isBoolean()
+], async (req, res) => {
   try {
-    const chats = await Chat.find({
-      participants: req.userId,
-      isActive: true
-    })
-    .populate('participants', 'firstName lastName photos isOnline lastActive')
-    .populate('lastMessage.sender', 'firstName lastName')
-    .sort({ 'lastMessage.timestamp': -1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chats, counts, totalUnread } = await getUnreadSummary(req.userId);
+    await Chat.populate(chats, [
+      { path: 'participants', select: 'firstName lastName photos isOnline lastActive privacy' },
+      { path: 'lastMessage.sender', select: 'firstName lastName' }
+    ]);
 
-    // Format chats with other participant info
+    // Format chats with other participant info and the user's own settings
     const formattedChats = chats.map(chat => {
       const otherParticipant = chat.participants.find(p => p._id.toString() !== req.userId);
+      const settings = chat.getSettings(req.userId);
       return {
         _id: chat._id,
-        otherUser: otherParticipant,
+        otherUser: otherParticipant && User.withPresencePrivacy(otherParticipant),
         lastMessage: chat.lastMessage,
+        unreadCount: counts.get(chat._id.toString()),
+        pinned: !!settings?.pinnedAt,
+        archived: !!settings?.archivedAt,
+        muted: chat.isMutedFor(req.userId),
+        mutedUntil: chat.isMutedFor(req.userId) ? settings.mutedUntil || null : null,
+        pinnedAt: settings?.pinnedAt || null,
         updatedAt: chat.updatedAt
       };
     });
 
-    res.json({ chats: formattedChats });
+    const lastActivity = chat => new Date(chat.lastMessage?.timestamp || chat.updatedAt).getTime();
+    const inbox = formattedChats
+      .filter(chat => req.query.archived === undefined || chat.archived === (req.query.archived === 'true'))
+      .sort((a, b) => (
+        (b.pinnedAt ? new Date(b.pinnedAt).getTime() : 0) - (a.pinnedAt ? new Date(a.pinnedAt).getTime() : 0) ||
+        lastActivity(b) - lastActivity(a)
+      ));
+
+    res.json({
+      chats: inbox,
+      totalUnread,
+      archivedCount: formattedChats.filter(chat => chat.archived).length
+    });
   } catch (error) {
     console.error('Get chats error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get the current user's total unread count (the nav badge)
+router.get('/unread', auth, async (req, res) => {
+  try {
+    const { totalUnread } = await getUnreadSummary(req.userId);
+    res.json({ totalUnread });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Search message text across the current user's chats, best matches first.
+// Each result's `cursor` can be passed as `around` to load its context.
+router.get('/search', auth, [
+  query('q').trim().isLength({ min: 2, max: 100 }).withMessage('Search must be 2-100 characters'),
+  query('page').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+
+    const chats = await Chat.find({
+      participants: req.userId,
+      isActive: true
+    }).populate('participants', 'firstName lastName photos isOnline lastActive privacy');
+
+    const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+    // The text index is prefixed by chat, so each chat is searched on its own
+    // (an equality match is required) and the best matches are merged
+    const wanted = page * SEARCH_PAGE_SIZE + 1;
+    const perChat = await Promise.all([...chatsById.keys()].map(chatId => Message.find(
+      { chat: chatId, $text: { $search: q } },
+      { score: { $meta: 'textScore' } }
+    )
+    .select('chat sender content messageType createdAt')
+    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+    .limit(wanted)
+    .lean()));
+
+    const messages = perChat.flat()
+      .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt)
+      .slice((page - 1) * SEARCH_PAGE_SIZE, wanted);
+
+    const results = messages.slice(0, SEARCH_PAGE_SIZE).map(message => {
+      const chat = chatsById.get(message.chat.toString());
+      const otherUser = chat.participants.find(p => p._id.toString() !== req.userId);
+      const { snippet, highlights } = buildSnippet(message.content || '', q);
+
+      return {
+        messageId: message._id,
+        chatId: chat._id,
+        otherUser: otherUser && User.withPresencePrivacy(otherUser),
+        fromMe: message.sender.toString() === req.userId,
+        messageType: message.messageType,
+        createdAt: message.createdAt,
+        snippet,
+        highlights,
+        cursor: message._id
+      };
+    });
+
+    res.json({
+      results,
+      page,
+      hasMore: messages.length > SEARCH_PAGE_SIZE
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get or create chat between two users
 router.get('/with/:userId', auth, async (req, res) => {
   try {
@@ -47,14 +207,14 @@ router.get('/with/:userId', auth, async (req, res) => {
     }
 
     // Check if users are matched
-    if (!currentUser.matches.includes(userId)) {
+    if (!(await Match.areMatched(req.userId, userId))) {
       return res.status(403).json({ message: 'You can only chat with matched users' });
     }
 
     // Find existing chat
     let chat = await Chat.findOne({
       participants: { $all: [req.userId, userId] }
-    }).populate('participants', 'firstName lastName photos isOnline lastActive');
+    }).populate('participants', 'firstName lastName photos isOnline lastActive privacy');
 
     // Create new chat if doesn't exist
     if (!chat) {
@@ -62,21 +222,42 @@ router.get('/with/:userId', auth, async (req, res) => {
         participants: [req.userId, userId]
       });
       await chat.save();
-      await chat.populate('participants', 'firstName lastName photos isOnline lastActive');
+      await chat.populate('participants', 'firstName lastName photos isOnline lastActive privacy');
     }
 
-    res.json({ chat });
+    res.json({
+      chat: {
+        ...chat.toObject(),
+        participants: chat.participants.map(participant => User.withPresencePrivacy(participant))
+      }
+    });
   } catch (error) {
     console.error('Get/create chat error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get messages for a specific chat
-router.get('/:chatId/messages', auth, async (req, res) => {
+// Get messages for a specific chat, newest page first. Pass `before` (or
+// `after`) with a message id to page backwards (or forwards) from it, or
+// `around` to load the context of a search result.
+router.get('/:chatId/messages', auth, [
+  query('before').optional().isMongoId(),
+  query('after').optional().isMongoId(),
+  query('around').optional().isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { chatId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after, around, limit } = req.query;
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({ message: 'Use only one of before, after or around' });
+    }
 
     const chat = await Chat.findById(chatId);
     if (!chat) {
@@ -88,22 +269,23 @@ router.get('/:chatId/messages', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Get paginated messages
-    const skip = (page - 1) * limit;
-    const messages = chat.messages
-      .sort((a, b) => b.createdAt - a.createdAt)
-      .slice(skip, skip + parseInt(limit))
-      .reverse();
+    const page = await Message.page(chat._id, { before, after, around, limit });
+    if (!page) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
 
-    // Populate sender info
-    await Chat.populate(messages, {
-      path: 'sender',
-      select: 'firstName lastName photos'
-    });
+    // Loading the chat delivers everything sent to this user so far
+    const newest = page.messages[page.messages.length - 1];
+    if (newest && chat.markDeliveredUpTo(req.userId, newest)) {
+      await chat.save();
+      realtime.messagesDelivered(chat, req.userId, newest);
+    }
 
-    res.json({ 
-      messages,
-      hasMore: chat.messages.length > skip + parseInt(limit)
+    res.json({
+      messages: page.messages.map(message => withDistance(message, req.user.location)),
+      hasMore: page.hasMore,
+      hasNewer: page.hasNewer,
+      readMarkers: chat.readMarkers
     });
   } catch (error) {
     console.error('Get messages error:', error);
@@ -114,7 +296,8 @@ router.get('/:chatId/messages', auth, async (req, res) => {
 // Send a message
 router.post('/:chatId/messages', auth, [
   body('content').trim().isLength({ min: 1, max: 1000 }),
-  body('messageType').optional().isIn(['text', 'image', 'location'])
+  body('messageType').optional().isIn(['text']),
+  body('replyTo').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -123,7 +306,7 @@ router.post('/:chatId/messages', auth, [
     }
 
     const { chatId } = req.params;
-    const { content, messageType = 'text' } = req.body;
+    const { content, messageType = 'text', replyTo } = req.body;
 
     const chat = await Chat.findById(chatId);
     if (!chat) {
@@ -135,55 +318,99 @@ router.post('/:chatId/messages', auth, [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Create message
-    const message = {
+    const replyTarget = await findReplyTarget(chat, replyTo);
+    if (replyTo && !replyTarget) {
+      return res.status(400).json({ message: 'The message you are replying to was not found' });
+    }
+
+    const createdMessage = await Message.create({
+      chat: chat._id,
       sender: req.userId,
       content,
       messageType,
-      readBy: [{
-        user: req.userId,
-        readAt: new Date()
-      }]
-    };
-
-    chat.messages.push(message);
-    
-    // Update last message
-    chat.lastMessage = {
-      content,
-      sender: req.userId,
-      timestamp: new Date()
-    };
+      replyTo: replyTarget ? replyTarget._id : undefined
+    });
 
-    await chat.save();
+    await publishMessage(chat, createdMessage);
 
-    // Get the created message with sender info
-    const createdMessage = chat.messages[chat.messages.length - 1];
-    await Chat.populate(createdMessage, {
-      path: 'sender',
-      select: 'firstName lastName photos'
-    });
+    res.status(201).json({ message: createdMessage });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send an image (multipart field `image`, optional `content` caption)
+router.post('/:chatId/images', auth, uploadImage, [
+  body('content').optional().trim().isLength({ max: 1000 }),
+  body('replyTo').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Emit to other participants via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.to(chatId).emit('receive-message', {
-        chatId,
-        message: createdMessage
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image uploaded' });
+    }
+
+    const { chatId } = req.params;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const replyTarget = await findReplyTarget(chat, req.body.replyTo);
+    if (req.body.replyTo && !replyTarget) {
+      return res.status(400).json({ message: 'The message you are replying to was not found' });
+    }
+
+    const image = await saveChatImage(req.file.buffer);
+
+    let createdMessage;
+    try {
+      createdMessage = await Message.create({
+        chat: chat._id,
+        sender: req.userId,
+        content: req.body.content || undefined,
+        messageType: 'image',
+        image,
+        replyTo: replyTarget ? replyTarget._id : undefined
       });
+    } catch (error) {
+      await removeChatImage(image);
+      throw error;
     }
 
+    await publishMessage(chat, createdMessage);
+
     res.status(201).json({ message: createdMessage });
   } catch (error) {
-    console.error('Send message error:', error);
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Send image error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Mark messages as read
-router.put('/:chatId/read', auth, async (req, res) => {
+// Fetch an image message's file (`?size=thumb` for the thumbnail).
+// Only the two participants of the chat can read it.
+router.get('/:chatId/messages/:messageId/image', auth, messageParams, async (req, res) => {
   try {
-    const { chatId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId } = req.params;
 
     const chat = await Chat.findById(chatId);
     if (!chat) {
@@ -195,19 +422,149 @@ router.put('/:chatId/read', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Mark unread messages as read
-    chat.messages.forEach(message => {
-      const hasRead = message.readBy.some(read => read.user.toString() === req.userId);
-      if (!hasRead) {
-        message.readBy.push({
-          user: req.userId,
-          readAt: new Date()
-        });
+    const message = await Message.findOne({ _id: messageId, chat: chat._id, messageType: 'image' });
+    if (!message || !message.image || !message.image.fileName) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const thumbnail = req.query.size === 'thumb';
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(thumbnail ? 'image/jpeg' : message.image.mimeType);
+    res.sendFile(chatImagePath(thumbnail ? message.image.thumbnailFileName : message.image.fileName), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Image not found' });
       }
     });
+  } catch (error) {
+    console.error('Get chat image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin, archive or mute a chat for the current user only. `muteHours`
+// mutes for a while; without it a mute lasts until turned off.
+router.put('/:chatId/settings', auth, [
+  body('pinned').optional().isBoolean(),
+  body('archived').optional().isBoolean(),
+  body('muted').optional().isBoolean(),
+  body('muteHours').optional().isIn(MUTE_DURATIONS)
+    .withMessage(`Mute for ${MUTE_DURATIONS.join(', ')} hours`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.params;
+    const { pinned, archived, muted, muteHours } = req.body;
+
+    const chat = await Chat.findOne({ _id: chatId, isActive: true });
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const current = chat.getSettings(req.userId);
+    const changes = {};
+
+    if (archived !== undefined) {
+      changes.archivedAt = archived ? current?.archivedAt || new Date() : undefined;
+      // Archived chats leave the pinned section
+      if (archived) {
+        changes.pinnedAt = undefined;
+      }
+    }
+
+    if (pinned) {
+      if (archived || (archived === undefined && current?.archivedAt)) {
+        return res.status(400).json({ message: 'Archived chats cannot be pinned' });
+      }
 
+      if (!current?.pinnedAt) {
+        const pinnedCount = await Chat.countDocuments({
+          isActive: true,
+          participantSettings: { $elemMatch: { user: req.userId, pinnedAt: { $ne: null } } }
+        });
+        if (pinnedCount >= MAX_PINNED_CHATS) {
+          return res.status(400).json({ message: `You can pin up to ${MAX_PINNED_CHATS} chats` });
+        }
+        changes.pinnedAt = new Date();
+      }
+    } else if (pinned === false) {
+      changes.pinnedAt = undefined;
+    }
+
+    if (muted !== undefined || muteHours !== undefined) {
+      const mute = muted !== false;
+      changes.muted = mute;
+      changes.mutedUntil = mute && muteHours
+        ? new Date(Date.now() + Number(muteHours) * 60 * 60 * 1000)
+        : undefined;
+    }
+
+    const settings = chat.updateSettings(req.userId, changes);
     await chat.save();
 
+    // Muting and archiving change what counts towards the total
+    await notifyUnreadChanged(chat, [req.userId]);
+
+    res.json({
+      message: 'Chat settings updated',
+      settings: {
+        pinned: !!settings.pinnedAt,
+        archived: !!settings.archivedAt,
+        muted: chat.isMutedFor(req.userId),
+        mutedUntil: chat.isMutedFor(req.userId) ? settings.mutedUntil || null : null
+      }
+    });
+  } catch (error) {
+    console.error('Update chat settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark messages as read, up to `messageId` or the latest message
+router.put('/:chatId/read', auth, [
+  body('messageId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.params;
+    const { messageId } = req.body;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const message = messageId
+      ? await Message.findOne({ _id: messageId, chat: chat._id })
+      : await Message.findOne({ chat: chat._id }).sort({ createdAt: -1, _id: -1 });
+
+    if (messageId && !message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message && chat.markReadUpTo(req.userId, message)) {
+      await chat.save();
+      realtime.messagesRead(chat, req.userId, message);
+      await notifyUnreadChanged(chat, [req.userId]);
+    }
+
     res.json({ message: 'Messages marked as read' });
   } catch (error) {
     console.error('Mark as read error:', error);
@@ -215,9 +572,204 @@ router.put('/:chatId/read', auth, async (req, res) => {
   }
 });
 
+// Edit a text message (sender only, within the edit window)
+router.put('/:chatId/messages/:messageId', auth, [
+  ...messageParams,
+  body('content').trim().isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId } = req.params;
+    const { content } = req.body;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const message = await Message.findOne({ _id: messageId, chat: chat._id }).select('+editHistory');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    // Check if user is the sender
+    if (message.sender.toString() !== req.userId) {
+      return res.status(403).json({ message: 'You can only edit your own messages' });
+    }
+
+    if (!message.isEditable()) {
+      return res.status(400).json({
+        message: `Text messages can only be edited within ${Message.EDIT_WINDOW_MS / 60000} minutes of sending`
+      });
+    }
+
+    if (content !== message.content) {
+      const editedAt = new Date();
+      message.editHistory.push({ content: message.content, editedAt });
+      message.content = content;
+      message.editedAt = editedAt;
+      await message.save();
+
+      // Keep the chat list preview in sync when the newest message changes
+      const lastMessage = await Message.findOne({ chat: chat._id }).sort({ createdAt: -1, _id: -1 }).select('_id');
+      if (lastMessage && lastMessage._id.equals(message._id)) {
+        chat.lastMessage.content = messagePreview(message);
+        await chat.save();
+      }
+
+      realtime.messageEdited(chat, message);
+    }
+
+    await message.populate(Message.DISPLAY_POPULATE);
+    const result = message.toObject();
+    delete result.editHistory;
+
+    res.json({ message: result });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Previous versions of an edited message
+router.get('/:chatId/messages/:messageId/history', auth, messageParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId } = req.params;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const message = await Message.findOne({ _id: messageId, chat: chat._id }).select('+editHistory');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json({
+      content: message.content,
+      editedAt: message.editedAt,
+      history: message.editHistory
+    });
+  } catch (error) {
+    console.error('Get edit history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// React to a message with an emoji (each user can use each emoji once)
+router.post('/:chatId/messages/:messageId/reactions', auth, [
+  ...messageParams,
+  body('emoji').custom(isEmoji).withMessage('Reaction must be a single emoji')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId } = req.params;
+    const { emoji } = req.body;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Only adds the reaction if this user hasn't used this emoji yet
+    await Message.updateOne(
+      {
+        _id: messageId,
+        chat: chat._id,
+        reactions: { $not: { $elemMatch: { user: req.userId, emoji } } }
+      },
+      { $push: { reactions: { emoji, user: req.userId, createdAt: new Date() } } }
+    );
+
+    const message = await Message.findOne({ _id: messageId, chat: chat._id }).select('reactions');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    realtime.reactionsChanged(chat, message);
+
+    res.json({ reactions: message.reactions });
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove your reaction
+router.delete('/:chatId/messages/:messageId/reactions/:emoji', auth, messageParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId, messageId, emoji } = req.params;
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+      return res.status(404).json({ message: 'Chat not found' });
+    }
+
+    // Check if user is participant
+    if (!chat.participants.includes(req.userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const message = await Message.findOneAndUpdate(
+      { _id: messageId, chat: chat._id },
+      { $pull: { reactions: { user: req.userId, emoji } } },
+      { new: true }
+    ).select('reactions');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    realtime.reactionsChanged(chat, message);
+
+    res.json({ reactions: message.reactions });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete a message
-router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
+router.delete('/:chatId/messages/:messageId', auth, messageParams, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { chatId, messageId } = req.params;
 
     const chat = await Chat.findById(chatId);
@@ -230,7 +782,7 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const message = chat.messages.id(messageId);
+    const message = await Message.findOne({ _id: messageId, chat: chat._id });
     if (!message) {
       return res.status(404).json({ message: 'Message not found' });
     }
@@ -240,14 +792,15 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
       return res.status(403).json({ message: 'You can only delete your own messages' });
     }
 
-    // Remove message
-    chat.messages.pull(messageId);
+    // Remove message (and its files, for images)
+    await message.deleteOne();
+    await removeChatImage(message.image);
 
     // Update last message if this was the last message
-    if (chat.messages.length > 0) {
-      const lastMessage = chat.messages[chat.messages.length - 1];
+    const lastMessage = await Message.findOne({ chat: chat._id }).sort({ createdAt: -1, _id: -1 });
+    if (lastMessage) {
       chat.lastMessage = {
-        content: lastMessage.content,
+        content: messagePreview(lastMessage),
         sender: lastMessage.sender,
         timestamp: lastMessage.createdAt
       };
@@ -257,6 +810,9 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
 
     await chat.save();
 
+    realtime.messageDeleted(chat, messageId);
+    await notifyUnreadChanged(chat, chat.participants.filter(id => id.toString() !== req.userId));
+
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
     console.error('Delete message error:', error);
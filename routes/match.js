@@ -1,10 +1,147 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Match = require('../models/Match');
+const Swipe = require('../models/Swipe');
 const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const realtime = require('../socket/realtime');
+const push = require('../utils/push');
+const { distanceBetween, hasLocation } = require('../utils/geo');
+const { getQuota, consumeQuota, refundQuota } = require('../utils/dailyQuota');
+const { rankCandidates, parseWeights, getWeights } = require('../utils/compatibility');
+const { renderBlurredPhoto } = require('../utils/profilePhotos');
+const {
+  likeUser,
+  passUser,
+  unmatchUsers,
+  lastSwipe,
+  undoSwipe,
+  recentSuperLikes,
+  pendingLikes,
+  swipedTargetIds
+} = require('../utils/swipes');
 
 const router = express.Router();
 
-// Get potential matches
+// Candidates ranked per request, and how many of the best are returned
+const CANDIDATE_POOL_SIZE = 100;
+const DECK_SIZE = 10;
+// Pages of eligible users read while filling the pool with unswiped ones
+const MAX_CANDIDATE_PAGES = 5;
+
+// Read a whole-number setting; 0 is a real value (it turns the feature off)
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// How long after a swipe it can be undone, and how many undos a day
+const REWIND_WINDOW_MINUTES = envInt('REWIND_WINDOW_MINUTES', 10);
+const REWIND_DAILY_LIMIT = envInt('REWIND_DAILY_LIMIT', 3);
+
+// Super-likes per day, refilled at the user's local midnight
+const SUPER_LIKE_DAILY_LIMIT = envInt('SUPER_LIKE_DAILY_LIMIT', 1);
+
+// Received likes show only a blurred photo unless LIKES_RECEIVED_BLUR=false
+const LIKES_RECEIVED_BLUR = process.env.LIKES_RECEIVED_BLUR !== 'false';
+const LIKES_PAGE_SIZE = 20;
+
+const CARD_FIELDS = 'firstName lastName age bio photos university course year interests location lastActive isOnline privacy preferences.ageRange';
+
+// A candidate as shown on a card in the deck
+const toCard = (user, distance) => {
+  // Their own preferences were only needed for scoring
+  const { preferences, ...profile } = User.withPresencePrivacy(user);
+  return {
+    ...profile,
+    distance: distance ? Math.round(distance) : null
+  };
+};
+
+// Who a user can be shown: same university, within their age and distance
+// preferences and with mutual gender interest
+const buildMatchCriteria = (currentUser) => {
+  // Build match criteria
+  const matchCriteria = {
+    _id: { $ne: currentUser._id },
+    universityId: currentUser.universityId, // Same university only
+    isEmailVerified: true,
+    profileCompleted: true,
+    deletionScheduledFor: null, // hide accounts pending deletion
+    age: {
+      $gte: currentUser.preferences.ageRange.min,
+      $lte: currentUser.preferences.ageRange.max
+    }
+  };
+
+  // Filter by gender preference
+  if (currentUser.interestedIn !== 'both') {
+    matchCriteria.gender = currentUser.interestedIn;
+  }
+
+  // Filter by mutual interest
+  matchCriteria.$or = [
+    { interestedIn: currentUser.gender },
+    { interestedIn: 'both' }
+  ];
+
+  // Location-based filtering if user has location
+  if (hasLocation(currentUser.location)) {
+    matchCriteria.location = {
+      $near: {
+        $geometry: currentUser.location,
+        $maxDistance: currentUser.preferences.maxDistance * 1000 // Convert km to meters
+      }
+    };
+  }
+
+  return matchCriteria;
+};
+
+// Eligible candidates for a user that they haven't swiped on yet. Takes the
+// most recently active ones so ranking only looks at a bounded pool. Swipes
+// are checked page by page rather than excluded in the query, so the cost
+// doesn't grow with the user's swipe history.
+const findCandidates = async (currentUser, limit = CANDIDATE_POOL_SIZE) => {
+  const matchCriteria = buildMatchCriteria(currentUser);
+  const candidates = [];
+  for (let page = 0; page < MAX_CANDIDATE_PAGES && candidates.length < limit; page++) {
+    const users = await User.find(matchCriteria)
+      .select(CARD_FIELDS)
+      .sort({ lastActive: -1 })
+      .skip(page * limit)
+      .limit(limit);
+
+    const swiped = await swipedTargetIds(currentUser._id, users.map(user => user._id));
+    candidates.push(...users.filter(user => !swiped.has(user._id.toString())));
+
+    if (users.length < limit) break;
+  }
+
+  return candidates.slice(0, limit);
+};
+
+// Eligible users who super-liked this one and are still waiting for an
+// answer, most recent super-like first
+const findSuperLikers = async (currentUser) => {
+  const superLikes = await recentSuperLikes(currentUser._id, DECK_SIZE * 2);
+  const swiped = await swipedTargetIds(currentUser._id, superLikes.map(like => like.swiper));
+  const waiting = superLikes.filter(like => !swiped.has(like.swiper.toString()));
+  if (waiting.length === 0) return [];
+
+  const users = await User.find({ ...buildMatchCriteria(currentUser), _id: { $in: waiting.map(like => like.swiper) } })
+    .select(CARD_FIELDS);
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  return waiting
+    .map(like => byId.get(like.swiper.toString()))
+    .filter(Boolean)
+    .slice(0, DECK_SIZE);
+};
+
+// Get potential matches, best compatibility first
 router.get('/potential', auth, async (req, res) => {
   try {
     const currentUser = await User.findById(req.userId);
@@ -16,142 +153,225 @@ router.get('/potential', auth, async (req, res) => {
       return res.status(400).json({ message: 'Please complete your profile first' });
     }
 
-    // Build match criteria
-    const matchCriteria = {
-      _id: { 
-        $ne: currentUser._id,
-        $nin: [...currentUser.likedUsers, ...currentUser.dislikedUsers]
-      },
-      university: currentUser.university, // Same university only
-      isEmailVerified: true,
-      profileCompleted: true,
-      age: {
-        $gte: currentUser.preferences.ageRange.min,
-        $lte: currentUser.preferences.ageRange.max
+    // Resolve accounts created before the university registry existed
+    if (!currentUser.universityId) {
+      const university = await currentUser.getUniversityFromEmail();
+      if (!university) {
+        return res.status(400).json({ message: 'Your university is not supported yet' });
       }
-    };
+      currentUser.universityId = university._id;
+      currentUser.university = university.name;
+      await currentUser.save();
+    }
+
+    // People who super-liked the user go first, marked with a badge
+    const superLikers = await findSuperLikers(currentUser);
+    const boosted = new Set(superLikers.map(user => user._id.toString()));
 
-    // Filter by gender preference
-    if (currentUser.interestedIn !== 'both') {
-      matchCriteria.gender = currentUser.interestedIn;
+    const candidates = await findCandidates(currentUser);
+    const ranked = await rankCandidates(currentUser, candidates.filter(user => !boosted.has(user._id.toString())));
+
+    const matches = [
+      ...superLikers.map(user => ({
+        ...toCard(user, distanceBetween(currentUser.location, user.location)),
+        superLiked: true
+      })),
+      ...ranked.map(({ user, distance }) => toCard(user, distance))
+    ].slice(0, DECK_SIZE);
+
+    res.json({
+      matches,
+      rewinds: getQuota(currentUser, 'rewinds', REWIND_DAILY_LIMIT),
+      superLikes: getQuota(currentUser, 'superLikes', SUPER_LIKE_DAILY_LIMIT)
+    });
+  } catch (error) {
+    console.error('Get potential matches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Explain how a user's deck is ranked, signal by signal (admin). Optional
+// `weights` ("interests=2,freshness=0.5") tries other weights without
+// changing the configured ones. `boosted` lists the super-likers that are
+// shown before the ranked candidates.
+router.get('/potential/explain', auth, admin, [
+  query('userId').optional().isMongoId(),
+  query('weights').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: CANDIDATE_POOL_SIZE })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Filter by mutual interest
-    matchCriteria.$or = [
-      { interestedIn: currentUser.gender },
-      { interestedIn: 'both' }
-    ];
+    let weights;
+    try {
+      weights = parseWeights(req.query.weights, getWeights());
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-    // Location-based filtering if user has location
-    if (currentUser.location.coordinates[0] !== 0 && currentUser.location.coordinates[1] !== 0) {
-      matchCriteria.location = {
-        $near: {
-          $geometry: currentUser.location,
-          $maxDistance: currentUser.preferences.maxDistance * 1000 // Convert km to meters
-        }
-      };
+    const viewer = await User.findById(req.query.userId || req.userId);
+    if (!viewer) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!viewer.universityId) {
+      return res.status(400).json({ message: 'User has no university yet' });
     }
 
-    const potentialMatches = await User.find(matchCriteria)
-      .select('firstName lastName age bio photos university course year location lastActive')
-      .limit(10)
-      .sort({ lastActive: -1 });
-
-    // Calculate distance for each match
-    const matchesWithDistance = potentialMatches.map(match => {
-      let distance = null;
-      if (currentUser.location.coordinates[0] !== 0 && 
-          currentUser.location.coordinates[1] !== 0 &&
-          match.location.coordinates[0] !== 0 && 
-          match.location.coordinates[1] !== 0) {
-        distance = calculateDistance(
-          currentUser.location.coordinates[1], currentUser.location.coordinates[0],
-          match.location.coordinates[1], match.location.coordinates[0]
-        );
-      }
+    const superLikers = await findSuperLikers(viewer);
+    const boosted = new Set(superLikers.map(user => user._id.toString()));
 
-      return {
-        ...match.toObject(),
-        distance: distance ? Math.round(distance) : null
-      };
-    });
+    const candidates = await findCandidates(viewer);
+    const ranked = await rankCandidates(viewer, candidates.filter(user => !boosted.has(user._id.toString())), { weights });
+    const limit = parseInt(req.query.limit, 10) || DECK_SIZE;
 
-    res.json({ matches: matchesWithDistance });
+    res.json({
+      userId: viewer._id,
+      weights,
+      boosted: superLikers.map(user => ({ _id: user._id, firstName: user.firstName, lastName: user.lastName })),
+      poolSize: candidates.length,
+      candidates: ranked.slice(0, limit).map(({ user, distance, score, signals }, index) => ({
+        rank: index + 1,
+        user: { _id: user._id, firstName: user.firstName, lastName: user.lastName },
+        score: Math.round(score * 1000) / 1000,
+        distance: distance === null ? null : Math.round(distance * 10) / 10,
+        signals: signals.map(signal => ({
+          ...signal,
+          value: signal.value === null ? null : Math.round(signal.value * 1000) / 1000,
+          contribution: Math.round(signal.contribution * 1000) / 1000
+        }))
+      }))
+    });
   } catch (error) {
-    console.error('Get potential matches error:', error);
+    console.error('Explain potential matches error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Like a user
-router.post('/like/:userId', auth, async (req, res) => {
+// Like or super-like the user with id targetId and send the response.
+// Super-likes use up the daily allowance and put the liker at the front of
+// the other user's deck.
+const likeTarget = async (req, res, targetId, { superLike }) => {
+  let quotaUsed = null;
   try {
-    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(targetId) || targetId === req.userId) {
+      return res.status(400).json({ message: 'Invalid user' });
+    }
+
     const currentUser = await User.findById(req.userId);
-    const targetUser = await User.findById(userId);
+    const targetUser = await User.findById(targetId);
 
     if (!currentUser || !targetUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if already liked
-    if (currentUser.likedUsers.includes(userId)) {
-      return res.status(400).json({ message: 'User already liked' });
+    if (superLike) {
+      if (!(await consumeQuota(currentUser, 'superLikes', SUPER_LIKE_DAILY_LIMIT))) {
+        return res.status(429).json({
+          message: 'No super likes left today',
+          superLikes: getQuota(currentUser, 'superLikes', SUPER_LIKE_DAILY_LIMIT)
+        });
+      }
+      quotaUsed = new Date();
     }
 
-    // Add to liked users
-    currentUser.likedUsers.push(userId);
+    const { alreadyLiked, isMatch, matchCreated, superLikedBy = [] } = await likeUser(currentUser._id, targetUser._id, { superLike });
 
-    // Check if it's a mutual like (match)
-    let isMatch = false;
-    if (targetUser.likedUsers.includes(req.userId)) {
-      isMatch = true;
-      
-      // Add to matches for both users
-      currentUser.matches.push(userId);
-      targetUser.matches.push(req.userId);
-      
-      await targetUser.save();
+    // Check if already liked
+    if (alreadyLiked) {
+      if (quotaUsed) await refundQuota(currentUser, 'superLikes', quotaUsed);
+      return res.status(400).json({ message: 'User already liked' });
+    }
+    quotaUsed = null;
+
+    // Only the like that created the match announces it, even when both
+    // users liked each other at the same moment
+    if (matchCreated) {
+      realtime.matchCreated(currentUser, targetUser, { superLikedBy });
+      push.notify(targetUser._id, 'matches', {
+        title: 'It\'s a match! 💕',
+        body: `You and ${currentUser.firstName} liked each other`,
+        tag: `match-${currentUser._id}`,
+        data: { type: 'match', userId: currentUser._id.toString() }
+      });
+    } else if (!isMatch) {
+      realtime.likeReceived(targetUser._id, { superLike });
+      push.notify(targetUser._id, 'likes', superLike ? {
+        title: 'Someone super liked you ⭐',
+        body: 'They\'re waiting at the top of your deck',
+        tag: 'likes',
+        data: { type: 'like', superLike: true }
+      } : {
+        title: 'Someone liked you',
+        body: 'Keep swiping to find out who!',
+        tag: 'likes',
+        data: { type: 'like' }
+      });
     }
 
-    await currentUser.save();
-
-    res.json({
+    const response = {
       message: isMatch ? 'It\'s a match!' : 'User liked successfully',
       isMatch,
-      matchedUser: isMatch ? {
+      superLike,
+      superLikedBy: isMatch ? superLikedBy : [],
+      matchedUser: isMatch ? User.withPresencePrivacy({
         _id: targetUser._id,
         firstName: targetUser.firstName,
         lastName: targetUser.lastName,
         photos: targetUser.photos,
         isOnline: targetUser.isOnline,
-        lastActive: targetUser.lastActive
-      } : null
-    });
+        lastActive: targetUser.lastActive,
+        privacy: targetUser.privacy
+      }) : null
+    };
+
+    if (superLike) {
+      const usage = await User.findById(currentUser._id).select('superLikes timezone');
+      response.superLikes = getQuota(usage, 'superLikes', SUPER_LIKE_DAILY_LIMIT);
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Like user error:', error);
+    if (quotaUsed) {
+      await refundQuota({ _id: req.userId, timezone: req.user.timezone }, 'superLikes', quotaUsed).catch(refundError => {
+        console.error('Super like refund error:', refundError);
+      });
+    }
     res.status(500).json({ message: 'Server error' });
   }
-});
+};
+
+// Like a user
+router.post('/like/:userId', auth, (req, res) => likeTarget(req, res, req.params.userId, { superLike: false }));
+
+// Super-like a user (SUPER_LIKE_DAILY_LIMIT a day)
+router.post('/superlike/:userId', auth, (req, res) => likeTarget(req, res, req.params.userId, { superLike: true }));
 
 // Dislike a user
 router.post('/dislike/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const currentUser = await User.findById(req.userId);
+    if (!mongoose.isValidObjectId(userId) || userId === req.userId) {
+      return res.status(400).json({ message: 'Invalid user' });
+    }
 
-    if (!currentUser) {
+    const targetExists = await User.exists({ _id: userId });
+    if (!targetExists) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if already disliked
-    if (currentUser.dislikedUsers.includes(userId)) {
+    const previous = await passUser(req.userId, userId);
+
+    // Check if already swiped
+    if (previous === 'pass') {
       return res.status(400).json({ message: 'User already disliked' });
     }
-
-    // Add to disliked users
-    currentUser.dislikedUsers.push(userId);
-    await currentUser.save();
+    if (previous === 'like') {
+      return res.status(400).json({ message: 'User already liked' });
+    }
 
     res.json({ message: 'User disliked successfully' });
   } catch (error) {
@@ -160,17 +380,170 @@ router.post('/dislike/:userId', auth, async (req, res) => {
   }
 });
 
-// Get matches
-router.get('/matches', auth, async (req, res) => {
+// Find a like the current user received (by the like's id, so blurred
+// likers stay anonymous)
+const findReceivedLike = (req) => {
+  if (!mongoose.isValidObjectId(req.params.likeId)) return null;
+  return Swipe.findOne({ _id: req.params.likeId, target: req.userId, action: 'like' });
+};
+
+// Get the likes you haven't answered yet, super likes first. Each has a
+// `likeId`; depending on LIKES_RECEIVED_BLUR it carries either the liker's
+// card or only a link to their blurred photo.
+router.get('/likes-received', auth, [
+  query('page').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const skip = ((parseInt(req.query.page, 10) || 1) - 1) * LIKES_PAGE_SIZE;
+    const { likes, total } = await pendingLikes(req.userId, { skip, limit: LIKES_PAGE_SIZE });
+
+    const likers = LIKES_RECEIVED_BLUR
+      ? new Map()
+      : new Map((await User.find({ _id: { $in: likes.map(like => like.swiper) } }).select(CARD_FIELDS))
+        .map(user => [user._id.toString(), user]));
+
+    const items = likes.map(like => {
+      const item = { likeId: like._id, likedAt: like.updatedAt, superLike: like.isSuperLike };
+      if (LIKES_RECEIVED_BLUR) {
+        return { ...item, photo: `/api/match/likes-received/${like._id}/photo` };
+      }
+
+      const liker = likers.get(like.swiper.toString());
+      return liker ? { ...item, user: toCard(liker, distanceBetween(req.user.location, liker.location)) } : null;
+    }).filter(Boolean);
+
+    res.json({
+      blurred: LIKES_RECEIVED_BLUR,
+      likes: items,
+      total,
+      hasMore: skip + likes.length < total
+    });
+  } catch (error) {
+    console.error('Get received likes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Blurred main photo of someone who liked you
+router.get('/likes-received/:likeId/photo', auth, async (req, res) => {
+  try {
+    const like = await findReceivedLike(req);
+    if (!like) {
+      return res.status(404).json({ message: 'Like not found' });
+    }
+
+    const liker = await User.findById(like.swiper).select('photos');
+    const mainPhoto = liker && (liker.photos.find(photo => photo.isMain) || liker.photos[0]);
+
+    let image = null;
+    try {
+      image = mainPhoto && await renderBlurredPhoto(mainPhoto.url);
+    } catch (error) {
+      console.error('Blurred photo error:', mainPhoto.url, error.message);
+    }
+    if (!image) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('jpeg').send(image);
+  } catch (error) {
+    console.error('Get blurred photo error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Like back someone from your received likes; matches right away
+router.post('/likes-received/:likeId/like', auth, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.userId)
-      .populate('matches', 'firstName lastName photos bio university course lastActive isOnline');
+    const like = await findReceivedLike(req);
+    if (!like) {
+      return res.status(404).json({ message: 'Like not found' });
+    }
+
+    await likeTarget(req, res, like.swiper.toString(), { superLike: false });
+  } catch (error) {
+    console.error('Like back error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
+// Undo your most recent swipe, within REWIND_WINDOW_MINUTES of making it
+// and up to REWIND_DAILY_LIMIT times a day. A like that already became a
+// match can't be undone (unmatch instead). Returns the user's card so it can
+// go back on top of the deck.
+router.post('/rewind', auth, async (req, res) => {
+  try {
+    const currentUser = await User.findById(req.userId);
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({ matches: currentUser.matches });
+    const swipe = await lastSwipe(currentUser._id);
+    if (!swipe || swipe.updatedAt < new Date(Date.now() - REWIND_WINDOW_MINUTES * 60 * 1000)) {
+      return res.status(400).json({ message: 'There is no recent swipe to undo' });
+    }
+
+    if (swipe.action === 'like' && await Match.areMatched(currentUser._id, swipe.target)) {
+      return res.status(400).json({ message: 'You already matched, unmatch instead' });
+    }
+
+    const allowances = async () => {
+      const usage = await User.findById(currentUser._id).select('rewinds superLikes timezone');
+      return {
+        rewinds: getQuota(usage, 'rewinds', REWIND_DAILY_LIMIT),
+        superLikes: getQuota(usage, 'superLikes', SUPER_LIKE_DAILY_LIMIT)
+      };
+    };
+
+    if (!(await consumeQuota(currentUser, 'rewinds', REWIND_DAILY_LIMIT))) {
+      const { rewinds } = await allowances();
+      return res.status(429).json({ message: 'No rewinds left today', rewinds });
+    }
+
+    // Another request undid or changed it in the meantime
+    if (!(await undoSwipe(swipe))) {
+      await refundQuota(currentUser, 'rewinds');
+      return res.status(409).json({ message: 'That swipe has changed, please try again' });
+    }
+
+    // An undone super-like goes back into today's allowance
+    if (swipe.isSuperLike) {
+      await refundQuota(currentUser, 'superLikes', swipe.updatedAt);
+    }
+
+    const target = await User.findById(swipe.target).select(CARD_FIELDS);
+
+    res.json({
+      message: 'Swipe undone',
+      action: swipe.action,
+      user: target ? toCard(target, distanceBetween(currentUser.location, target.location)) : null,
+      ...(await allowances())
+    });
+  } catch (error) {
+    console.error('Rewind swipe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get matches, newest first
+router.get('/matches', auth, async (req, res) => {
+  try {
+    const matches = await Match.forUser(req.userId)
+      .sort({ createdAt: -1 })
+      .populate('user1 user2', 'firstName lastName photos bio university course lastActive isOnline privacy');
+
+    res.json({
+      matches: matches
+        .map(match => ({ user: match.user1?._id.equals(req.userId) ? match.user2 : match.user1, matchedAt: match.createdAt }))
+        .filter(({ user }) => user)
+        .map(({ user, matchedAt }) => ({ ...User.withPresencePrivacy(user), matchedAt }))
+    });
   } catch (error) {
     console.error('Get matches error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -181,23 +554,19 @@ router.get('/matches', auth, async (req, res) => {
 router.delete('/unmatch/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const currentUser = await User.findById(req.userId);
-    const targetUser = await User.findById(userId);
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user' });
+    }
 
-    if (!currentUser || !targetUser) {
+    const targetExists = await User.exists({ _id: userId });
+    if (!targetExists) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Remove from matches for both users
-    currentUser.matches = currentUser.matches.filter(id => id.toString() !== userId);
-    targetUser.matches = targetUser.matches.filter(id => id.toString() !== req.userId);
+    // Removes the match and both likes
+    await unmatchUsers(req.userId, userId);
 
-    // Remove from liked users for both users
-    currentUser.likedUsers = currentUser.likedUsers.filter(id => id.toString() !== userId);
-    targetUser.likedUsers = targetUser.likedUsers.filter(id => id.toString() !== req.userId);
-
-    await currentUser.save();
-    await targetUser.save();
+    realtime.unmatched(req.userId, userId);
 
     res.json({ message: 'Successfully unmatched' });
   } catch (error) {
@@ -206,22 +575,4 @@ router.delete('/unmatch/:userId', auth, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in kilometers
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const d = R * c; // Distance in kilometers
-  return d;
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
-
 module.exports = router;
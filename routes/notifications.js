@@ -0,0 +1,253 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const net = require('net');
+const { body, validationResult } = require('express-validator');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const push = require('../utils/push');
+const { isValidTimeZone } = require('../utils/timezones');
+const {
+  DIGEST_CATEGORIES,
+  isValidUnsubscribeToken,
+  unsubscribeFromDigest
+} = require('../utils/emailDigest');
+
+const router = express.Router();
+
+const { CATEGORIES } = push;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The server POSTs to subscription endpoints, so in production only accept
+// https push services by host name (no localhost or raw IP addresses).
+// Development allows plain http for scripts/push-stub-server.js.
+const isAllowedEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return url.protocol === 'https:' && hostname !== 'localhost' && net.isIP(hostname) === 0;
+};
+
+const formatPreferences = (user) => ({
+  ...CATEGORIES.reduce((preferences, category) => ({
+    ...preferences,
+    [category]: user.notificationPreferences[category]
+  }), {}),
+  quietHours: {
+    enabled: user.notificationPreferences.quietHours.enabled,
+    start: user.notificationPreferences.quietHours.start,
+    end: user.notificationPreferences.quietHours.end
+  },
+  timezone: user.timezone,
+  emailDigest: {
+    enabled: user.emailDigest.enabled,
+    ...DIGEST_CATEGORIES.reduce((digest, category) => ({
+      ...digest,
+      [category]: user.emailDigest[category]
+    }), {})
+  }
+});
+
+const toBoolean = value => value === true || value === 'true';
+
+// Get the key browsers need to subscribe (null when push is not configured)
+router.get('/vapid-public-key', (req, res) => {
+  res.json({ publicKey: push.publicKey });
+});
+
+// Save this browser's push subscription
+router.post('/subscriptions', auth, [
+  body('endpoint').custom(isAllowedEndpoint).withMessage('Invalid push endpoint'),
+  body('keys.p256dh').isString().notEmpty(),
+  body('keys.auth').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!push.publicKey) {
+      return res.status(503).json({ message: 'Push notifications are not available' });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A browser keeps its endpoint across logins, so it moves to whoever
+    // subscribed last
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.userId,
+        session: req.sessionId,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('User-Agent'),
+        failureCount: 0
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({ message: 'Push notifications enabled' });
+  } catch (error) {
+    console.error('Save push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove this browser's push subscription
+router.delete('/subscriptions', auth, [
+  body('endpoint').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.userId });
+
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    console.error('Delete push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('notificationPreferences timezone emailDigest');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ preferences: formatPreferences(user) });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update notification preferences; quiet hours use the given (or stored)
+// time zone. `emailDigest` switches the digest and its sections.
+router.put('/preferences', auth, [
+  ...CATEGORIES.map(category => body(category).optional().isBoolean()),
+  body('quietHours.enabled').optional().isBoolean(),
+  body('quietHours.start').optional().matches(TIME_OF_DAY).withMessage('Start must be HH:MM'),
+  body('quietHours.end').optional().matches(TIME_OF_DAY).withMessage('End must be HH:MM'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone'),
+  body('emailDigest.enabled').optional().isBoolean(),
+  ...DIGEST_CATEGORIES.map(category => body(`emailDigest.${category}`).optional().isBoolean())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    CATEGORIES.forEach(category => {
+      if (req.body[category] !== undefined) {
+        user.notificationPreferences[category] = toBoolean(req.body[category]);
+      }
+    });
+
+    const quietHours = req.body.quietHours || {};
+    if (quietHours.enabled !== undefined) {
+      user.notificationPreferences.quietHours.enabled = toBoolean(quietHours.enabled);
+    }
+    if (quietHours.start) {
+      user.notificationPreferences.quietHours.start = quietHours.start;
+    }
+    if (quietHours.end) {
+      user.notificationPreferences.quietHours.end = quietHours.end;
+    }
+    if (req.body.timezone) {
+      user.timezone = req.body.timezone;
+    }
+
+    const emailDigest = req.body.emailDigest || {};
+    ['enabled', ...DIGEST_CATEGORIES].forEach(key => {
+      if (emailDigest[key] !== undefined) {
+        user.emailDigest[key] = toBoolean(emailDigest[key]);
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: formatPreferences(user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unsubscribe from email digests via the signed link in a digest, without
+// logging in. Mail clients' one-click unsubscribe POSTs with the parameters
+// in the query string; the unsubscribe page sends them in the body.
+router.post('/digest/unsubscribe', async (req, res) => {
+  try {
+    const { user: userId, category, token } = { ...req.query, ...req.body };
+
+    if (!mongoose.isValidObjectId(userId) || !isValidUnsubscribeToken(userId, token)) {
+      return res.status(400).json({ message: 'This unsubscribe link is not valid' });
+    }
+    if (category !== 'all' && !DIGEST_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'Unknown digest category' });
+    }
+
+    if (!(await unsubscribeFromDigest(userId, category))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: category === 'all'
+        ? 'You will no longer receive email digests.'
+        : `Email digests will no longer include ${category}.`
+    });
+  } catch (error) {
+    console.error('Digest unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send a test notification to all of the user's devices, ignoring
+// preferences and quiet hours
+router.post('/test', auth, async (req, res) => {
+  try {
+    if (!push.publicKey) {
+      return res.status(503).json({ message: 'Push notifications are not available' });
+    }
+
+    const delivered = await push.sendToUser(req.userId, {
+      title: 'UniMatch',
+      body: 'Push notifications are working 🎉',
+      tag: 'test',
+      data: { type: 'test' }
+    });
+
+    res.json({ message: `Sent to ${delivered} device(s)`, delivered });
+  } catch (error) {
+    console.error('Test push notification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,25 @@
 const express = require('express');
 const multer = require('multer');
+const fs = require('fs');
 const path = require('path');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const PushSubscription = require('../models/PushSubscription');
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+const University = require('../models/University');
 const auth = require('../middleware/auth');
+const mailer = require('../utils/mailer');
+const realtime = require('../socket/realtime');
+const { announcePresence } = require('../socket/presence');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const { MAX_IMAGE_SIZE, imageFileFilter } = require('../utils/uploads');
+const { chatImagePath } = require('../utils/chatImages');
+const { isValidTimeZone } = require('../utils/timezones');
 
 const router = express.Router();
 
@@ -22,19 +38,9 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: MAX_IMAGE_SIZE
   },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
+  fileFilter: imageFileFilter
 });
 
 // Update profile
@@ -45,7 +51,10 @@ router.put('/update', auth, [
   body('course').optional().trim(),
   body('year').optional().isInt({ min: 1, max: 7 }),
   body('bio').optional().isLength({ max: 500 }),
-  body('interestedIn').optional().isIn(['male', 'female', 'both'])
+  body('interests').optional().isArray({ max: 10 }).withMessage('Up to 10 interests'),
+  body('interests.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Interests must be 1-30 characters'),
+  body('interestedIn').optional().isIn(['male', 'female', 'both']),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -61,13 +70,18 @@ router.put('/update', auth, [
     }
 
     // Update allowed fields
-    const allowedUpdates = ['firstName', 'lastName', 'age', 'course', 'year', 'bio', 'interestedIn'];
+    const allowedUpdates = ['firstName', 'lastName', 'age', 'course', 'year', 'bio', 'interestedIn', 'timezone'];
     allowedUpdates.forEach(field => {
       if (updates[field] !== undefined) {
         user[field] = updates[field];
       }
     });
 
+    // Interests are compared case-insensitively when ranking matches
+    if (Array.isArray(updates.interests)) {
+      user.interests = [...new Set(updates.interests.map(interest => interest.toLowerCase()))];
+    }
+
     // Update profile completion status
     user.profileCompleted = user.isProfileComplete();
 
@@ -86,7 +100,9 @@ router.put('/update', auth, [
         course: user.course,
         year: user.year,
         bio: user.bio,
+        interests: user.interests,
         photos: user.photos,
+        timezone: user.timezone,
         profileCompleted: user.isProfileComplete()
       }
     });
@@ -319,4 +335,411 @@ router.put('/update-preferences', auth, [
   }
 });
 
+// Update privacy settings
+router.put('/privacy', auth, [
+  body('showActivityStatus').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.privacy.showActivityStatus = req.body.showActivityStatus === true || req.body.showActivityStatus === 'true';
+    await user.save();
+
+    // Matches see the change straight away
+    await announcePresence(user._id);
+
+    res.json({
+      message: 'Privacy settings updated successfully',
+      privacy: user.privacy
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const EMAIL_CHANGE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_REVERT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const appUrl = (pathAndQuery) => `${process.env.BASE_URL || 'http://localhost:3000'}${pathAndQuery}`;
+
+// Switch the account to a new address once both sides have confirmed
+const applyEmailChange = async (user) => {
+  const newEmail = user.emailChange.pendingEmail;
+  const oldEmail = user.email;
+
+  // The address may have been taken while waiting for confirmations
+  const existingUser = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+  if (existingUser) {
+    user.emailChange = undefined;
+    await user.save();
+    return { error: 'This email address is already in use' };
+  }
+
+  const university = await University.resolve(newEmail);
+  if (!university) {
+    user.emailChange = undefined;
+    await user.save();
+    return { error: 'This university is no longer supported' };
+  }
+
+  const revertToken = generateToken();
+  user.email = newEmail;
+  user.university = university.name;
+  user.universityId = university._id;
+  user.emailChange = {
+    previousEmail: oldEmail,
+    revertTokenHash: hashToken(revertToken),
+    revertExpires: new Date(Date.now() + EMAIL_REVERT_TTL_MS)
+  };
+  await user.save();
+
+  mailer.send('emailChanged', oldEmail, {
+    firstName: user.firstName,
+    newEmail,
+    revertUrl: appUrl(`/revert-email-change?token=${revertToken}`)
+  });
+
+  return { user };
+};
+
+// Request an email address change
+router.post('/change-email', auth, [
+  body('newEmail').isEmail().normalizeEmail(),
+  body('password').exists()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, password } = req.body;
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+
+    const existingUser = await User.findOne({ email: newEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'This email address is already in use' });
+    }
+
+    // The new address must still belong to a supported university
+    const university = await University.resolve(newEmail);
+    if (!university) {
+      return res.status(400).json({ message: 'Your university is not supported yet. Please use your university email address.' });
+    }
+
+    const newEmailToken = generateToken();
+    const oldEmailToken = generateToken();
+
+    user.emailChange = {
+      pendingEmail: newEmail,
+      newEmailTokenHash: hashToken(newEmailToken),
+      oldEmailTokenHash: hashToken(oldEmailToken),
+      newConfirmed: false,
+      oldConfirmed: false,
+      expires: new Date(Date.now() + EMAIL_CHANGE_TTL_MS)
+    };
+    await user.save();
+
+    mailer.send('emailChangeConfirmNew', newEmail, {
+      firstName: user.firstName,
+      newEmail,
+      confirmUrl: appUrl(`/confirm-email-change?token=${newEmailToken}`)
+    });
+    mailer.send('emailChangeConfirmOld', user.email, {
+      firstName: user.firstName,
+      newEmail,
+      confirmUrl: appUrl(`/confirm-email-change?token=${oldEmailToken}`)
+    });
+
+    res.json({
+      message: `We sent confirmation links to ${user.email} and ${newEmail}. Your email changes once both are confirmed.`,
+      universityChanged: !university._id.equals(user.universityId),
+      university: university.name
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email change from either the old or the new address
+router.get('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ message: 'Invalid or expired confirmation link' });
+    }
+
+    const tokenHash = hashToken(token);
+    const user = await User.findOne({
+      $or: [
+        { 'emailChange.newEmailTokenHash': tokenHash },
+        { 'emailChange.oldEmailTokenHash': tokenHash }
+      ],
+      'emailChange.expires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired confirmation link' });
+    }
+
+    if (user.emailChange.newEmailTokenHash === tokenHash) {
+      user.emailChange.newConfirmed = true;
+    } else {
+      user.emailChange.oldConfirmed = true;
+    }
+
+    if (!user.emailChange.newConfirmed || !user.emailChange.oldConfirmed) {
+      await user.save();
+      const waitingFor = user.emailChange.newConfirmed ? 'your current address' : 'your new address';
+      return res.json({
+        message: `Confirmed! Please also click the link we sent to ${waitingFor} to finish the change.`,
+        completed: false
+      });
+    }
+
+    const result = await applyEmailChange(user);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({
+      message: `Your email address is now ${result.user.email}.`,
+      completed: true
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Undo an email change from the old address
+router.get('/revert-email-change', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ message: 'Invalid or expired link' });
+    }
+
+    const user = await User.findOne({
+      'emailChange.revertTokenHash': hashToken(token),
+      'emailChange.revertExpires': { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired link' });
+    }
+
+    const previousEmail = user.emailChange.previousEmail;
+    const existingUser = await User.findOne({ email: previousEmail, _id: { $ne: user._id } });
+    if (existingUser) {
+      return res.status(400).json({ message: 'The previous address is now used by another account' });
+    }
+
+    const university = await University.resolve(previousEmail);
+    user.email = previousEmail;
+    if (university) {
+      user.university = university.name;
+      user.universityId = university._id;
+    }
+    user.emailChange = undefined;
+    await user.save();
+
+    // Whoever changed the address may still be signed in
+    await Session.revokeAllForUser(user._id, 'remote-logout');
+    realtime.disconnectUser(user._id);
+
+    res.json({ message: `Your email address has been restored to ${previousEmail} and all devices were signed out. We recommend resetting your password.` });
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export all personal data (GDPR data portability)
+router.get('/export', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId)
+      .select('-password -emailVerificationToken -passwordResetToken -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Embed photo files so the export is self-contained
+    const photos = await Promise.all(user.photos.map(async (photo) => {
+      let data = null;
+      try {
+        const file = await fs.promises.readFile(path.join(__dirname, '..', 'uploads', 'photos', path.basename(photo.url)));
+        data = `data:image/${path.extname(photo.url).slice(1).replace('jpg', 'jpeg')};base64,${file.toString('base64')}`;
+      } catch (error) {
+        console.error('Export photo read error:', photo.url, error.message);
+      }
+      return { url: photo.url, isMain: photo.isMain, data };
+    }));
+
+    const chats = await Chat.find({ participants: req.userId })
+      .populate('participants', 'firstName lastName');
+
+    const messages = await Message.find({ chat: { $in: chats.map(chat => chat._id) } })
+      .sort({ createdAt: 1, _id: 1 });
+
+    // Embed the images this user sent
+    const sentImages = new Map();
+    await Promise.all(messages
+      .filter(message => message.messageType === 'image' && message.sender.toString() === req.userId)
+      .map(async (message) => {
+        try {
+          const file = await fs.promises.readFile(chatImagePath(message.image.fileName));
+          sentImages.set(message._id.toString(), `data:${message.image.mimeType};base64,${file.toString('base64')}`);
+        } catch (error) {
+          console.error('Export chat image read error:', message.image.fileName, error.message);
+        }
+      }));
+
+    const conversations = chats.map(chat => {
+      const otherUser = chat.participants.find(p => p && p._id.toString() !== req.userId);
+      return {
+        chatId: chat._id,
+        with: otherUser ? `${otherUser.firstName} ${otherUser.lastName}` : 'Deleted user',
+        messages: messages.filter(message => message.chat.equals(chat._id)).map(message => ({
+          fromMe: message.sender.toString() === req.userId,
+          content: message.content,
+          messageType: message.messageType,
+          image: sentImages.get(message._id.toString()),
+          location: message.messageType === 'location'
+            ? { latitude: message.location.latitude, longitude: message.location.longitude }
+            : undefined,
+          sentAt: message.createdAt
+        }))
+      };
+    });
+
+    const sessions = await Session.find({ user: req.userId })
+      .select('userAgent ip createdAt lastUsedAt revokedAt');
+
+    const pushSubscriptions = await PushSubscription.find({ user: req.userId })
+      .select('endpoint userAgent createdAt lastSuccessAt');
+
+    const swipes = await Swipe.find({ swiper: req.userId })
+      .sort({ createdAt: 1 })
+      .populate('target', 'firstName lastName');
+
+    const matches = await Match.forUser(req.userId)
+      .sort({ createdAt: 1 })
+      .populate('user1 user2', 'firstName lastName');
+
+    const profile = user.toObject();
+    delete profile.photos;
+
+    const formatPerson = (person, at) => ({ id: person._id, name: `${person.firstName} ${person.lastName}`, at });
+    const swipedOn = action => swipes
+      .filter(swipe => swipe.action === action && swipe.target)
+      .map(swipe => formatPerson(swipe.target, swipe.createdAt));
+
+    res.setHeader('Content-Disposition', `attachment; filename="unimatch-export-${req.userId}.json"`);
+    res.json({
+      exportedAt: new Date(),
+      profile,
+      photos,
+      swipes: {
+        liked: swipedOn('like'),
+        passed: swipedOn('pass')
+      },
+      matches: matches
+        .map(match => ({ person: match.user1?._id.equals(req.userId) ? match.user2 : match.user1, at: match.createdAt }))
+        .filter(({ person }) => person)
+        .map(({ person, at }) => formatPerson(person, at)),
+      conversations,
+      sessions,
+      pushSubscriptions
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request account deletion (erased after a grace period)
+router.post('/delete', auth, [
+  body('password').exists()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    if (!user.deletionScheduledFor) {
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+      user.isOnline = false;
+      await user.save();
+    }
+
+    res.json({
+      message: `Your account will be permanently deleted on ${user.deletionScheduledFor.toDateString()}. Log in and cancel before then to keep it.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending account deletion
+router.post('/delete/cancel', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is pending' });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
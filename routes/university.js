@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const University = require('../models/University');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const router = express.Router();
+
+// Format a university for API responses
+const formatUniversity = (university) => ({
+  _id: university._id,
+  name: university.name,
+  domains: university.domains,
+  country: university.country,
+  campusLocation: university.campusLocation
+});
+
+// Resolve an email address or domain to its university (used by signup)
+router.get('/resolve', async (req, res) => {
+  try {
+    const { email } = req.query;
+    if (!email) {
+      return res.status(400).json({ message: 'Email or domain is required' });
+    }
+
+    const university = await University.resolve(email);
+    if (!university) {
+      return res.status(404).json({ message: 'University not supported yet' });
+    }
+
+    res.json({ university: { _id: university._id, name: university.name, country: university.country } });
+  } catch (error) {
+    console.error('Resolve university error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List universities
+router.get('/', auth, admin, async (req, res) => {
+  try {
+    const universities = await University.find().sort({ country: 1, name: 1 });
+    res.json({ universities: universities.map(formatUniversity) });
+  } catch (error) {
+    console.error('List universities error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a university
+router.post('/', auth, admin, [
+  body('name').trim().isLength({ min: 1 }),
+  body('domains').isArray({ min: 1 }),
+  body('domains.*').isFQDN(),
+  body('country').isISO31661Alpha2(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, domains, country, latitude, longitude } = req.body;
+
+    // A domain can only belong to one university
+    const normalizedDomains = domains.map(University.normalizeDomain);
+    const conflict = await University.findOne({ domains: { $in: normalizedDomains } });
+    if (conflict) {
+      return res.status(400).json({ message: `Domain already belongs to ${conflict.name}` });
+    }
+
+    const university = new University({
+      name,
+      domains: normalizedDomains,
+      country,
+      campusLocation: {
+        type: 'Point',
+        coordinates: [longitude || 0, latitude || 0]
+      }
+    });
+    await university.save();
+
+    res.status(201).json({ university: formatUniversity(university) });
+  } catch (error) {
+    console.error('Add university error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add domains to an existing university
+router.put('/:universityId/domains', auth, admin, [
+  param('universityId').isMongoId(),
+  body('domains').isArray({ min: 1 }),
+  body('domains.*').isFQDN()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const university = await University.findById(req.params.universityId);
+    if (!university) {
+      return res.status(404).json({ message: 'University not found' });
+    }
+
+    const normalizedDomains = req.body.domains.map(University.normalizeDomain);
+    const conflict = await University.findOne({
+      _id: { $ne: university._id },
+      domains: { $in: normalizedDomains }
+    });
+    if (conflict) {
+      return res.status(400).json({ message: `Domain already belongs to ${conflict.name}` });
+    }
+
+    university.domains.push(...normalizedDomains);
+    await university.save();
+
+    res.json({ university: formatUniversity(university) });
+  } catch (error) {
+    console.error('Add university domains error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge a duplicate university into this one
+router.post('/:universityId/merge', auth, admin, [
+  param('universityId').isMongoId(),
+  body('sourceId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { universityId } = req.params;
+    const { sourceId } = req.body;
+
+    if (universityId === sourceId) {
+      return res.status(400).json({ message: 'Cannot merge a university into itself' });
+    }
+
+    const [target, source] = await Promise.all([
+      University.findById(universityId),
+      University.findById(sourceId)
+    ]);
+    if (!target || !source) {
+      return res.status(404).json({ message: 'University not found' });
+    }
+
+    // Move users first so nobody is ever left pointing at a missing university
+    const result = await User.updateMany(
+      { universityId: source._id },
+      { universityId: target._id, university: target.name }
+    );
+
+    // Delete before adding so the unique domain index allows the move
+    const sourceDomains = [...source.domains];
+    await University.deleteOne({ _id: source._id });
+
+    target.domains.push(...sourceDomains);
+    await target.save();
+
+    res.json({
+      message: `${source.name} merged into ${target.name}`,
+      university: formatUniversity(target),
+      movedUsers: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Merge university error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
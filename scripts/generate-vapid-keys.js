@@ -0,0 +1,11 @@
+// Generate a VAPID key pair for Web Push. Paste the output into .env; keep
+// the private key secret and don't change the keys once browsers have
+// subscribed, or their subscriptions stop working.
+const webpush = require('web-push');
+
+const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+
+console.log('🔑 Add these to your .env file:\n');
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@example.com');
@@ -0,0 +1,89 @@
+// Move messages embedded in `chats.messages` into the Message collection and
+// turn each message's readBy list into one read marker per participant.
+// Safe to re-run: messages keep their _id, so a chat that was interrupted
+// halfway is picked up again without duplicates.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const DUPLICATE_KEY = 11000;
+
+// Latest message each user has in their readBy list
+const buildReadMarkers = (participants, messages) => participants.map(userId => {
+  const read = messages.filter(message =>
+    (message.readBy || []).some(entry => entry.user && entry.user.equals(userId))
+  );
+  const latest = read.reduce((a, b) => (b.createdAt > a.createdAt ? b : a), read[0]);
+
+  if (!latest) {
+    return { user: userId, lastDeliveredAt: new Date(0), lastReadAt: new Date(0) };
+  }
+
+  // Anything that was read was also delivered
+  return {
+    user: userId,
+    lastDeliveredMessage: latest._id,
+    lastDeliveredAt: latest.createdAt,
+    lastReadMessage: latest._id,
+    lastReadAt: latest.createdAt
+  };
+});
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  let migratedChats = 0;
+  let migratedMessages = 0;
+
+  // The embedded array is no longer in the schema, so read the raw documents
+  const cursor = Chat.collection.find({ 'messages.0': { $exists: true } });
+  for await (const chat of cursor) {
+    const messages = chat.messages.map(message => ({
+      _id: message._id,
+      chat: chat._id,
+      sender: message.sender,
+      content: message.content,
+      messageType: message.messageType || 'text',
+      createdAt: message.createdAt,
+      updatedAt: message.updatedAt || message.createdAt
+    }));
+
+    try {
+      await Message.collection.insertMany(messages, { ordered: false });
+    } catch (error) {
+      // Already copied by an earlier, interrupted run
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(e => e.code !== DUPLICATE_KEY)) {
+        throw error;
+      }
+    }
+
+    await Chat.collection.updateOne(
+      { _id: chat._id },
+      {
+        $set: { readMarkers: buildReadMarkers(chat.participants, chat.messages) },
+        $unset: { messages: '' }
+      }
+    );
+
+    migratedChats++;
+    migratedMessages += messages.length;
+  }
+
+  // Chats without messages just lose the empty array
+  await Chat.collection.updateMany({ messages: { $exists: true } }, { $unset: { messages: '' } });
+
+  await Message.syncIndexes();
+
+  console.log(`✅ Moved ${migratedMessages} messages from ${migratedChats} chats`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,24 @@
+// Replace the old content-only text index on messages with the one prefixed
+// by chat. MongoDB allows a single text index per collection, so the old one
+// has to be dropped before the new one can be built. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Message = require('../models/Message');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  // Drops indexes no longer in the schema, then builds the missing ones
+  const dropped = await Message.syncIndexes();
+
+  console.log(`✅ Message indexes synced${dropped.length ? ` (dropped ${dropped.join(', ')})` : ''}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,105 @@
+// Move the likedUsers, dislikedUsers and matches arrays off user documents
+// into the Swipe and Match collections. Safe to re-run: every write is an
+// upsert on the collections' unique keys, and a user's arrays are only
+// removed once all of their swipes and matches have been copied.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+
+// The arrays carry no dates, so records get the latest time both accounts
+// existed; newer than that they can't be
+const sinceBoth = (createdAt, userA, userB) => new Date(Math.max(
+  createdAt.get(userA.toString())?.getTime() || 0,
+  createdAt.get(userB.toString())?.getTime() || 0
+));
+
+const swipeUpsert = (swiper, target, action, at) => ({
+  updateOne: {
+    filter: { swiper, target },
+    update: {
+      // A user could be in both lists; the like wins
+      ...(action === 'like' ? { $set: { action } } : {}),
+      $setOnInsert: {
+        ...(action === 'like' ? {} : { action }),
+        createdAt: at,
+        updatedAt: at
+      }
+    },
+    upsert: true
+  }
+});
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  await Swipe.syncIndexes();
+  await Match.syncIndexes();
+
+  const createdAt = new Map();
+  for await (const user of User.collection.find({}, { projection: { createdAt: 1 } })) {
+    createdAt.set(user._id.toString(), user.createdAt || new Date(0));
+  }
+
+  let migratedUsers = 0;
+  let swipes = 0;
+  let matches = 0;
+
+  // The arrays are no longer in the schema, so read the raw documents
+  const cursor = User.collection.find(
+    { $or: [{ likedUsers: { $exists: true } }, { dislikedUsers: { $exists: true } }, { matches: { $exists: true } }] },
+    { projection: { likedUsers: 1, dislikedUsers: 1, matches: 1 } }
+  );
+  for await (const user of cursor) {
+    const liked = user.likedUsers || [];
+    const disliked = user.dislikedUsers || [];
+    const matched = user.matches || [];
+
+    // Passes first so a like for the same user overrides them; a match
+    // implies a like even if it was missing from likedUsers
+    const swipeOps = [
+      ...disliked.map(target => swipeUpsert(user._id, target, 'pass', sinceBoth(createdAt, user._id, target))),
+      ...[...liked, ...matched].map(target => swipeUpsert(user._id, target, 'like', sinceBoth(createdAt, user._id, target)))
+    ];
+    if (swipeOps.length > 0) {
+      await Swipe.collection.bulkWrite(swipeOps, { ordered: true });
+    }
+
+    // Both users list the match; the unique pair makes the second a no-op
+    const matchOps = matched.map(otherId => {
+      const [user1, user2] = [user._id, otherId].sort((a, b) => a.toString().localeCompare(b.toString()));
+      const at = sinceBoth(createdAt, user1, user2);
+      return {
+        updateOne: {
+          filter: { user1, user2 },
+          update: { $setOnInsert: { createdAt: at, updatedAt: at } },
+          upsert: true
+        }
+      };
+    });
+    if (matchOps.length > 0) {
+      const result = await Match.collection.bulkWrite(matchOps, { ordered: false });
+      matches += result.upsertedCount;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: { likedUsers: '', dislikedUsers: '', matches: '' } }
+    );
+
+    migratedUsers++;
+    swipes += swipeOps.length;
+  }
+
+  console.log(`✅ Moved ${swipes} swipes and ${matches} matches from ${migratedUsers} users`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
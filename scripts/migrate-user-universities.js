@@ -0,0 +1,44 @@
+// Link existing users to the University registry. Before the registry,
+// `university` held the raw email domain (e.g. cs.ox.ac.uk); afterwards it
+// holds the canonical name and `universityId` is used for matching.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const University = require('../models/University');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  let linked = 0;
+  const unresolved = [];
+
+  const cursor = User.find({ universityId: { $exists: false } }).select('email university').cursor();
+  for await (const user of cursor) {
+    const university = await University.resolve(user.email);
+    if (!university) {
+      unresolved.push(user.email);
+      continue;
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { universityId: university._id, university: university.name }
+    );
+    linked++;
+  }
+
+  console.log(`✅ Linked ${linked} users to their university`);
+  if (unresolved.length > 0) {
+    console.log(`⚠️ ${unresolved.length} users have a domain missing from the registry:`);
+    unresolved.forEach(email => console.log(`   - ${email.split('@')[1]}`));
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
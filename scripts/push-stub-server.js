@@ -0,0 +1,87 @@
+// A stand-in push service for trying Web Push locally. It creates a
+// subscription whose endpoint points at itself, then decrypts and prints
+// every notification the app sends to it.
+//
+//   npm run push:stub
+//   POST the printed subscription to /api/notifications/subscriptions
+//   (NODE_ENV must not be production, since the endpoint is plain http)
+//
+// Requests to an endpoint ending in /gone are answered 410 Gone, to check
+// that the app drops dead subscriptions.
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.PUSH_STUB_PORT, 10) || 4001;
+
+// The "browser" side of the subscription
+const ecdh = crypto.createECDH('prime256v1');
+const userPublicKey = ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+// Undo the aes128gcm content encoding (RFC 8188 / RFC 8291), single record
+const decrypt = (body) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    console.log(`\n📨 ${req.method} ${req.url}`);
+    console.log(`   TTL: ${req.headers.ttl}, Urgency: ${req.headers.urgency || 'normal'}, Topic: ${req.headers.topic || '-'}`);
+    console.log(`   Authorization: ${(req.headers.authorization || 'missing').slice(0, 40)}…`);
+
+    if (req.url.endsWith('/gone')) {
+      console.log('   ↩️  Answering 410 Gone');
+      res.writeHead(410).end();
+      return;
+    }
+
+    try {
+      const body = Buffer.concat(chunks);
+      console.log('   Payload:', body.length > 0 ? JSON.parse(decrypt(body)) : '(empty)');
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error('   ❌ Could not decrypt:', error.message);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  const subscription = (path) => JSON.stringify({
+    endpoint: `http://localhost:${PORT}/push/${path}`,
+    keys: {
+      p256dh: userPublicKey.toString('base64url'),
+      auth: authSecret.toString('base64url')
+    }
+  });
+
+  console.log(`🔔 Push stub listening on http://localhost:${PORT}`);
+  console.log('\nSubscription:');
+  console.log(subscription(crypto.randomBytes(6).toString('hex')));
+  console.log('\nSubscription the stub reports as expired:');
+  console.log(subscription(`${crypto.randomBytes(6).toString('hex')}/gone`));
+});
@@ -0,0 +1,50 @@
+// Seed the University registry from data/universities.json.
+// Safe to re-run: existing entries (matched by domain) get their missing domains added.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const University = require('../models/University');
+const universities = require('../data/universities.json');
+
+const seed = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔗 Connected to MongoDB');
+
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of universities) {
+    const domains = entry.domains.map(University.normalizeDomain);
+    const existing = await University.findOne({ domains: { $in: domains } });
+
+    if (existing) {
+      const missing = domains.filter(domain => !existing.domains.includes(domain));
+      if (missing.length > 0) {
+        existing.domains.push(...missing);
+        await existing.save();
+        updated++;
+      }
+      continue;
+    }
+
+    await University.create({
+      name: entry.name,
+      domains,
+      country: entry.country,
+      campusLocation: {
+        type: 'Point',
+        coordinates: [entry.longitude, entry.latitude]
+      }
+    });
+    created++;
+  }
+
+  console.log(`✅ Universities seeded: ${created} created, ${updated} updated`);
+};
+
+seed()
+  .catch(error => {
+    console.error('❌ University seed failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
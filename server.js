@@ -12,6 +12,11 @@ const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
 const matchRoutes = require('./routes/match');
 const chatRoutes = require('./routes/chat');
+const universityRoutes = require('./routes/university');
+const notificationRoutes = require('./routes/notifications');
+const { startJobs } = require('./jobs');
+const { initializeSocket } = require('./socket');
+const { resetPresence } = require('./socket/presence');
 
 const app = express();
 const server = http.createServer(app);
@@ -45,6 +50,7 @@ app.use(helmet({
       imgSrc: [
         "'self'", 
         "data:", 
+        "blob:", // chat images are fetched with auth and shown via object URLs
         "https://maps.googleapis.com",
         "https://maps.gstatic.com",
         "https://*.googleusercontent.com",
@@ -68,6 +74,10 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
+// Behind the hosting proxy, so req.ip is the client address (used by the
+// rate limiter and per-IP login throttling)
+app.set('trust proxy', 1);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -126,6 +136,9 @@ mongoose.connect(MONGODB_URI, {
   console.log('🗄️ Database: university-dating-app');
   console.log('🌐 Cluster: cluster0.dzwqxml.mongodb.net');
   console.log('🔧 Connection pool configured for rate limit protection');
+
+  resetPresence().catch(error => console.error('Presence reset error:', error));
+  startJobs();
 })
 .catch(err => {
   console.error('❌ MongoDB connection failed:', err.message);
@@ -151,35 +164,29 @@ app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
 app.use('/api/match', matchRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/universities', universityRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Serve main app
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Socket.IO for real-time chat
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-chat', (chatId) => {
-    socket.join(chatId);
-    console.log(`User ${socket.id} joined chat ${chatId}`);
-  });
-
-  socket.on('send-message', (data) => {
-    socket.to(data.chatId).emit('receive-message', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO for real-time chat (authenticated, see socket/index.js).
+// Routes publish through socket/realtime.js; the raw server is also exposed.
+initializeSocket(io);
+app.set('io', io);
 
 // Serve the main HTML file for email verification route
 app.get('/verify-email', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Serve the main HTML file for password reset, email change and unsubscribe routes
+app.get(['/reset-password', '/confirm-email-change', '/revert-email-change', '/unsubscribe-digest'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
 // Catch-all handler: send back the main HTML file for any non-API routes
 app.get('*', (req, res) => {
   if (!req.path.startsWith('/api/')) {
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { authenticateToken, AuthError } = require('../middleware/auth');
+const realtime = require('./realtime');
+const presence = require('./presence');
+const {
+  LocationShareError,
+  shareLocation,
+  updateLiveLocation,
+  stopLiveLocation
+} = require('../utils/locationShares');
+
+const { userRoom, chatRoom, sessionRoom } = realtime;
+
+// Clients repeat typing-start while the user types; without a repeat (or a
+// typing-stop) within this window the indicator is cleared for them
+const TYPING_TIMEOUT_MS = 6000;
+
+// Load a chat only if the user is one of its participants
+const findParticipantChat = async (chatId, userId) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+  return Chat.findOne({ _id: chatId, participants: userId, isActive: true });
+};
+
+// Clients may leave out the acknowledgement callback or send something else
+const replyTo = ack => (typeof ack === 'function' ? ack : () => {});
+
+const initializeSocket = (io) => {
+  realtime.attach(io);
+
+  // Same access token as the REST API, sent in the handshake auth payload
+  io.use(async (socket, next) => {
+    try {
+      const { userId, sessionId } = await authenticateToken(socket.handshake.auth?.token);
+      socket.data.userId = userId;
+      socket.data.sessionId = sessionId;
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('Socket auth error:', error);
+      }
+      next(new Error(error instanceof AuthError ? error.message : 'Token is not valid'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { userId, sessionId } = socket.data;
+
+    // Every socket joins its user's room so the server can reach a person on
+    // all of their tabs and devices, and its session's room so revoking the
+    // session can disconnect it
+    socket.join([userRoom(userId), sessionRoom(sessionId)]);
+    console.log(`User ${userId} connected:`, socket.id);
+    presence.userConnected(userId).catch(error => {
+      console.error('Presence update error:', error);
+    });
+
+    // chatId -> timer clearing this socket's typing indicator
+    const typingTimers = new Map();
+
+    const stopTyping = (chatId) => {
+      if (!typingTimers.has(chatId)) return;
+      clearTimeout(typingTimers.get(chatId));
+      typingTimers.delete(chatId);
+      realtime.typingChanged(chatId, userId, false);
+    };
+
+    socket.on('join-chat', async (chatId, ack) => {
+      const reply = replyTo(ack);
+      try {
+        const chat = await findParticipantChat(chatId, userId);
+        if (!chat) {
+          return reply({ ok: false, message: 'Access denied' });
+        }
+
+        socket.join(chatRoom(chatId));
+        reply({ ok: true });
+      } catch (error) {
+        console.error('Join chat error:', error);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('leave-chat', (chatId) => {
+      stopTyping(chatId);
+      socket.leave(chatRoom(chatId));
+    });
+
+    // Only sockets that joined the chat (and so passed the participant
+    // check) can signal typing in it
+    socket.on('typing-start', (chatId) => {
+      if (!socket.rooms.has(chatRoom(chatId))) return;
+
+      if (typingTimers.has(chatId)) {
+        clearTimeout(typingTimers.get(chatId));
+      } else {
+        realtime.typingChanged(chatId, userId, true);
+      }
+      typingTimers.set(chatId, setTimeout(() => stopTyping(chatId), TYPING_TIMEOUT_MS));
+    });
+
+    socket.on('typing-stop', (chatId) => {
+      stopTyping(chatId);
+    });
+
+    // Acknowledge that a pushed message reached this device
+    socket.on('message-delivered', async (payload, ack) => {
+      const reply = replyTo(ack);
+      try {
+        const { chatId, messageId } = payload || {};
+        const chat = await findParticipantChat(chatId, userId);
+        if (!chat || !mongoose.isValidObjectId(messageId)) {
+          return reply({ ok: false, message: 'Access denied' });
+        }
+
+        const message = await Message.findOne({ _id: messageId, chat: chat._id });
+        if (!message) {
+          return reply({ ok: false, message: 'Message not found' });
+        }
+
+        if (chat.markDeliveredUpTo(userId, message)) {
+          await chat.save();
+          realtime.messagesDelivered(chat, userId, message);
+        }
+        reply({ ok: true });
+      } catch (error) {
+        console.error('Message delivered error:', error);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    // Send a location pin, or start a live share with durationMinutes
+    socket.on('share-location', async (payload, ack) => {
+      const reply = replyTo(ack);
+      try {
+        const { chatId, ...share } = payload || {};
+        const chat = await findParticipantChat(chatId, userId);
+        if (!chat) {
+          return reply({ ok: false, message: 'Access denied' });
+        }
+
+        const message = await shareLocation(chat, userId, share);
+        reply({ ok: true, message });
+      } catch (error) {
+        if (error instanceof LocationShareError) {
+          return reply({ ok: false, message: error.message });
+        }
+        console.error('Share location error:', error);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('update-location', async (payload, ack) => {
+      const reply = replyTo(ack);
+      try {
+        const { messageId, ...position } = payload || {};
+        if (!mongoose.isValidObjectId(messageId)) {
+          return reply({ ok: false, message: 'Location share not found' });
+        }
+        await updateLiveLocation(messageId, userId, position);
+        reply({ ok: true });
+      } catch (error) {
+        if (error instanceof LocationShareError) {
+          return reply({ ok: false, message: error.message });
+        }
+        console.error('Update location error:', error);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('stop-location', async (payload, ack) => {
+      const reply = replyTo(ack);
+      try {
+        const { messageId } = payload || {};
+        if (!mongoose.isValidObjectId(messageId)) {
+          return reply({ ok: false, message: 'Location share not found' });
+        }
+        await stopLiveLocation(messageId, userId);
+        reply({ ok: true });
+      } catch (error) {
+        if (error instanceof LocationShareError) {
+          return reply({ ok: false, message: error.message });
+        }
+        console.error('Stop location error:', error);
+        reply({ ok: false, message: 'Server error' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      [...typingTimers.keys()].forEach(stopTyping);
+      presence.userDisconnected(userId);
+      console.log(`User ${userId} disconnected:`, socket.id);
+    });
+  });
+};
+
+module.exports = {
+  initializeSocket
+};
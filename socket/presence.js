@@ -0,0 +1,92 @@
+// Presence derived from live socket connections. A user is online while at
+// least one tab or device is connected; after the last one disconnects they
+// stay online for a short grace period so reloads and flaky networks don't
+// flicker. Counts are kept in memory, so this assumes a single server process.
+const User = require('../models/User');
+const Match = require('../models/Match');
+const realtime = require('./realtime');
+
+const PRESENCE_GRACE_MS = parseInt(process.env.PRESENCE_GRACE_MS, 10) || 30 * 1000;
+
+// userId -> number of connected sockets
+const connections = new Map();
+// userId -> pending "went offline" timer
+const offlineTimers = new Map();
+
+// Persist the new state and tell the user's matches (unless they hide it)
+const setPresence = async (userId, isOnline) => {
+  const lastActive = new Date();
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { isOnline, lastActive },
+    { new: true }
+  ).select('privacy');
+
+  if (!user || user.privacy?.showActivityStatus === false) return;
+
+  realtime.presenceChanged(await Match.matchedUserIds(user._id), { userId: userId.toString(), isOnline, lastActive });
+};
+
+const userConnected = async (userId) => {
+  const count = (connections.get(userId) || 0) + 1;
+  connections.set(userId, count);
+
+  // Reconnected within the grace period: nothing changed for anyone else
+  if (offlineTimers.has(userId)) {
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.delete(userId);
+    return;
+  }
+
+  if (count === 1) {
+    await setPresence(userId, true);
+  }
+};
+
+const userDisconnected = (userId) => {
+  const count = (connections.get(userId) || 1) - 1;
+  if (count > 0) {
+    connections.set(userId, count);
+    return;
+  }
+
+  connections.delete(userId);
+  offlineTimers.set(userId, setTimeout(async () => {
+    offlineTimers.delete(userId);
+    if (connections.has(userId)) return;
+
+    try {
+      await setPresence(userId, false);
+    } catch (error) {
+      console.error('Presence update error:', error);
+    }
+  }, PRESENCE_GRACE_MS));
+};
+
+// Re-send a user's current state to their matches, e.g. after they change
+// their privacy setting
+const announcePresence = async (userId) => {
+  const user = await User.findById(userId).select('privacy isOnline lastActive');
+  if (!user) return;
+
+  const visible = user.privacy?.showActivityStatus !== false;
+  realtime.presenceChanged(await Match.matchedUserIds(user._id), {
+    userId: userId.toString(),
+    isOnline: visible && user.isOnline,
+    lastActive: visible ? user.lastActive : null
+  });
+};
+
+// Check if the user has the app open on any device right now
+const isConnected = (userId) => connections.has(userId.toString());
+
+// Nobody is connected to a freshly started server
+const resetPresence = () => User.updateMany({ isOnline: true }, { isOnline: false });
+
+module.exports = {
+  userConnected,
+  userDisconnected,
+  announcePresence,
+  isConnected,
+  resetPresence
+};
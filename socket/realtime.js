@@ -0,0 +1,194 @@
+// Realtime event bus. REST routes publish state changes here after they are
+// saved, and this is the only place events are pushed to clients. Until a
+// Socket.IO server is attached every publish is a no-op, so routes never
+// need to check whether realtime is available.
+
+const User = require('../models/User');
+
+const userRoom = (userId) => `user:${userId}`;
+const chatRoom = (chatId) => `chat:${chatId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+let io = null;
+
+const attach = (socketServer) => {
+  io = socketServer;
+};
+
+// Emit to every connected tab/device of one or more users
+const toUsers = (userIds, event, payload) => {
+  if (!io) return;
+  const rooms = [].concat(userIds).map(userRoom);
+  io.to(rooms).emit(event, payload);
+};
+
+// Emit to everyone currently viewing a chat
+const toChat = (chatId, event, payload) => {
+  if (!io) return;
+  io.to(chatRoom(chatId)).emit(event, payload);
+};
+
+// Drop the sockets of a revoked session (or all of a user's sessions)
+const disconnectSession = (sessionId) => {
+  if (!io) return;
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+const disconnectUser = (userId) => {
+  if (!io) return;
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Domain events
+
+// `forUser` can tailor the message to each participant, e.g. with their
+// distance to a shared location
+const messageCreated = (chat, message, forUser = null) => {
+  if (!forUser) {
+    toUsers(chat.participants.map(String), 'receive-message', {
+      chatId: chat._id.toString(),
+      message
+    });
+    return;
+  }
+
+  chat.participants.map(String).forEach(userId => {
+    toUsers(userId, 'receive-message', {
+      chatId: chat._id.toString(),
+      message: forUser(userId)
+    });
+  });
+};
+
+const messageEdited = (chat, message) => {
+  toUsers(chat.participants.map(String), 'message-edited', {
+    chatId: chat._id.toString(),
+    messageId: message._id.toString(),
+    content: message.content,
+    editedAt: message.editedAt
+  });
+};
+
+const reactionsChanged = (chat, message) => {
+  toUsers(chat.participants.map(String), 'message-reactions', {
+    chatId: chat._id.toString(),
+    messageId: message._id.toString(),
+    reactions: message.reactions
+  });
+};
+
+// A live location share moved; `forUser` works as for messageCreated
+const liveLocationUpdated = (chat, message, forUser) => {
+  chat.participants.map(String).forEach(userId => {
+    toUsers(userId, 'location-updated', {
+      chatId: chat._id.toString(),
+      messageId: message._id.toString(),
+      location: forUser(userId).location
+    });
+  });
+};
+
+const liveLocationStopped = (chat, message) => {
+  toUsers(chat.participants.map(String), 'location-stopped', {
+    chatId: chat._id.toString(),
+    messageId: message._id.toString(),
+    stoppedAt: message.location.stoppedAt
+  });
+};
+
+const messageDeleted = (chat, messageId) => {
+  toUsers(chat.participants.map(String), 'message-deleted', {
+    chatId: chat._id.toString(),
+    messageId: messageId.toString()
+  });
+};
+
+// Receipts go to both participants: the sender updates "Delivered"/"Seen",
+// the recipient's other tabs stay in sync
+const messagesDelivered = (chat, userId, message) => {
+  toUsers(chat.participants.map(String), 'messages-delivered', {
+    chatId: chat._id.toString(),
+    userId: userId.toString(),
+    messageId: message._id.toString(),
+    deliveredAt: message.createdAt
+  });
+};
+
+const messagesRead = (chat, userId, message) => {
+  toUsers(chat.participants.map(String), 'messages-read', {
+    chatId: chat._id.toString(),
+    userId: userId.toString(),
+    messageId: message._id.toString(),
+    readAt: message.createdAt
+  });
+};
+
+// Unread counts only concern the user themselves (all of their tabs)
+const unreadChanged = (userId, payload) => {
+  toUsers(userId.toString(), 'unread-count', payload);
+};
+
+const typingChanged = (chatId, userId, isTyping) => {
+  toChat(chatId, 'typing', {
+    chatId: chatId.toString(),
+    userId: userId.toString(),
+    isTyping
+  });
+};
+
+// Presence goes to the user's matches only
+const presenceChanged = (matchIds, payload) => {
+  if (matchIds.length === 0) return;
+  toUsers(matchIds.map(String), 'presence', payload);
+};
+
+// The liked user only learns that someone liked them, not who
+const likeReceived = (targetUserId, { superLike = false } = {}) => {
+  toUsers(targetUserId, 'like-received', { superLike });
+};
+
+// `superLikedBy` lists which of the two super-liked the other
+const matchCreated = (userA, userB, { superLikedBy = [] } = {}) => {
+  const card = user => User.withPresencePrivacy({
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    photos: user.photos,
+    isOnline: user.isOnline,
+    lastActive: user.lastActive,
+    privacy: user.privacy
+  });
+
+  toUsers(userA._id, 'new-match', { matchedUser: card(userB), superLikedBy });
+  toUsers(userB._id, 'new-match', { matchedUser: card(userA), superLikedBy });
+};
+
+const unmatched = (userId, otherUserId) => {
+  toUsers(userId, 'unmatched', { userId: otherUserId.toString() });
+  toUsers(otherUserId, 'unmatched', { userId: userId.toString() });
+};
+
+module.exports = {
+  attach,
+  userRoom,
+  chatRoom,
+  sessionRoom,
+  toUsers,
+  toChat,
+  disconnectSession,
+  disconnectUser,
+  messageCreated,
+  messageDeleted,
+  messageEdited,
+  reactionsChanged,
+  liveLocationUpdated,
+  liveLocationStopped,
+  messagesDelivered,
+  messagesRead,
+  unreadChanged,
+  typingChanged,
+  presenceChanged,
+  likeReceived,
+  matchCreated,
+  unmatched
+};
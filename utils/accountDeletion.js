@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const PushSubscription = require('../models/PushSubscription');
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+const LoginEvent = require('../models/LoginEvent');
+const loginThrottle = require('./loginThrottle');
+
+// Grace period between requesting deletion and the data actually being erased
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// Stands in for erased users in chats their match still has
+const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+const PHOTOS_DIR = path.join(__dirname, '..', 'uploads', 'photos');
+
+// Remove a user's uploaded photo files (only ever inside uploads/photos)
+const removePhotoFiles = async (photos) => {
+  await Promise.all(photos.map(async (photo) => {
+    if (!photo.url || !photo.url.startsWith('/uploads/photos/')) return;
+    try {
+      await fs.promises.unlink(path.join(PHOTOS_DIR, path.basename(photo.url)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove photo file:', photo.url, error.message);
+      }
+    }
+  }));
+};
+
+// Permanently erase an account and every reference to it
+const deleteUserAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  const id = user._id;
+
+  // Drop the user's swipes and matches, in both directions
+  await Swipe.deleteMany({ $or: [{ swiper: id }, { target: id }] });
+  await Match.deleteMany({ $or: [{ user1: id }, { user2: id }] });
+
+  // Anonymize chats: the other person keeps the history, but it no longer
+  // points at this account
+  await Chat.updateMany(
+    { participants: id },
+    {
+      $set: {
+        'participants.$[participant]': DELETED_USER_ID,
+        isActive: false
+      },
+      $pull: { readMarkers: { user: id }, participantSettings: { user: id } }
+    },
+    { arrayFilters: [{ participant: id }] }
+  );
+  await Message.updateMany({ sender: id }, { $set: { sender: DELETED_USER_ID } });
+  await Message.updateMany({ 'reactions.user': id }, { $pull: { reactions: { user: id } } });
+  await Chat.updateMany(
+    { 'lastMessage.sender': id },
+    { $set: { 'lastMessage.sender': DELETED_USER_ID } }
+  );
+
+  await Session.deleteMany({ user: id });
+  await PushSubscription.deleteMany({ user: id });
+
+  // Login audit rows and the failed-login counter hold the email, IPs and
+  // user agents too; failed attempts may only be recorded by email
+  await LoginEvent.deleteMany({ $or: [{ user: id }, { email: user.email }] });
+  await loginThrottle.clearAccount(user.email);
+  await removePhotoFiles(user.photos);
+  await User.deleteOne({ _id: id });
+
+  return true;
+};
+
+// Erase every account whose grace period has ended
+const processScheduledDeletions = async () => {
+  const dueUsers = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id');
+
+  for (const { _id } of dueUsers) {
+    try {
+      await deleteUserAccount(_id);
+      console.log(`🗑️ Deleted account ${_id}`);
+    } catch (error) {
+      console.error(`Failed to delete account ${_id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  DELETED_USER_ID,
+  deleteUserAccount,
+  processScheduledDeletions
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { generateToken } = require('./tokens');
+
+// Chat images are kept outside uploads/ (which is served statically) and are
+// only streamed to chat participants by routes/chat.js
+const CHAT_IMAGES_DIR = process.env.CHAT_IMAGES_DIR || path.join(__dirname, '..', 'private-uploads', 'chat');
+
+const FULL_MAX_DIMENSION = 2048;
+const THUMBNAIL_WIDTH = 320;
+
+const OUTPUT_FORMATS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  png: { extension: 'png', mimeType: 'image/png' },
+  gif: { extension: 'gif', mimeType: 'image/gif' },
+  webp: { extension: 'webp', mimeType: 'image/webp' }
+};
+
+class InvalidImageError extends Error {}
+
+const chatImagePath = (fileName) => path.resolve(CHAT_IMAGES_DIR, path.basename(fileName));
+
+// Re-encode an uploaded image and write it plus a thumbnail. Re-encoding
+// applies the EXIF rotation and drops metadata such as GPS coordinates.
+const saveChatImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new InvalidImageError('File is not a valid image');
+  }
+
+  const output = OUTPUT_FORMATS[metadata.format];
+  if (!output) {
+    throw new InvalidImageError('Only image files are allowed');
+  }
+
+  await fs.promises.mkdir(CHAT_IMAGES_DIR, { recursive: true });
+
+  const baseName = `chat-${Date.now()}-${generateToken(8)}`;
+  const fileName = `${baseName}.${output.extension}`;
+  const thumbnailFileName = `${baseName}-thumb.jpg`;
+
+  const full = await sharp(buffer, { animated: metadata.format === 'gif' })
+    .rotate()
+    .resize({ width: FULL_MAX_DIMENSION, height: FULL_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFile(chatImagePath(fileName));
+
+  await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 75 })
+    .toFile(chatImagePath(thumbnailFileName));
+
+  return {
+    fileName,
+    thumbnailFileName,
+    mimeType: output.mimeType,
+    size: full.size,
+    width: full.width,
+    // Animated images report the height of all frames stacked
+    height: full.pageHeight || full.height
+  };
+};
+
+// Remove an image message's files; missing files are not an error
+const removeChatImage = async (image) => {
+  if (!image) return;
+
+  await Promise.all([image.fileName, image.thumbnailFileName].filter(Boolean).map(async (fileName) => {
+    try {
+      await fs.promises.unlink(chatImagePath(fileName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to remove chat image:', fileName, error.message);
+      }
+    }
+  }));
+};
+
+module.exports = {
+  CHAT_IMAGES_DIR,
+  InvalidImageError,
+  chatImagePath,
+  saveChatImage,
+  removeChatImage
+};
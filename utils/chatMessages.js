@@ -0,0 +1,80 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const realtime = require('../socket/realtime');
+const { calculateDistance, hasLocation } = require('./geo');
+const { notifyUnreadChanged } = require('./inbox');
+const push = require('./push');
+
+const PUSH_PREVIEW_LENGTH = 120;
+
+// Text shown in chat lists for a message
+const messagePreview = (message) => {
+  if (message.messageType === 'image') {
+    return message.content || '📷 Photo';
+  }
+  if (message.messageType === 'location') {
+    return message.location.live ? '📍 Live location' : '📍 Location';
+  }
+  return message.content;
+};
+
+// Add how far a shared location is from the viewer (their profile location)
+const withDistance = (message, viewerLocation) => {
+  const result = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  if (result.messageType === 'location' && result.location && hasLocation(viewerLocation)) {
+    const [longitude, latitude] = viewerLocation.coordinates;
+    const distance = calculateDistance(latitude, longitude, result.location.latitude, result.location.longitude);
+    result.location = { ...result.location, distanceKm: Math.round(distance * 100) / 100 };
+  }
+  return result;
+};
+
+// Participant id -> profile location, for per-viewer distances
+const participantLocations = async (chat) => {
+  const users = await User.find({ _id: { $in: chat.participants } }).select('location');
+  return new Map(users.map(user => [user._id.toString(), user.location]));
+};
+
+// Record a newly created message on its chat and push it to both participants
+const publishMessage = async (chat, message) => {
+  const recipients = chat.participants.filter(id => id.toString() !== message.sender.toString());
+
+  chat.lastMessage = {
+    content: messagePreview(message),
+    sender: message.sender,
+    timestamp: message.createdAt
+  };
+  // The sender has read their own message
+  chat.markReadUpTo(message.sender, message);
+  await chat.save();
+
+  await message.populate(Message.DISPLAY_POPULATE);
+
+  // Push to both participants (all of their tabs and devices)
+  if (message.messageType === 'location') {
+    const locations = await participantLocations(chat);
+    realtime.messageCreated(chat, message, userId => withDistance(message, locations.get(userId)));
+  } else {
+    realtime.messageCreated(chat, message);
+  }
+
+  await notifyUnreadChanged(chat, recipients);
+
+  // Push notifications for recipients who are away (not awaited)
+  const preview = messagePreview(message) || '';
+  recipients
+    .filter(userId => !chat.isMutedFor(userId))
+    .forEach(userId => push.notify(userId, 'messages', {
+      title: message.sender.firstName,
+      body: preview.length > PUSH_PREVIEW_LENGTH ? `${preview.slice(0, PUSH_PREVIEW_LENGTH - 1)}…` : preview,
+      tag: `chat-${chat._id}`,
+      data: { type: 'message', chatId: chat._id.toString(), userId: message.sender._id.toString() }
+    }));
+};
+
+module.exports = {
+  messagePreview,
+  withDistance,
+  participantLocations,
+  publishMessage
+};
@@ -0,0 +1,121 @@
+const Swipe = require('../../models/Swipe');
+const { distanceBetween } = require('../geo');
+const SIGNALS = require('./signals');
+
+const DEFAULT_WEIGHTS = SIGNALS.reduce((weights, signal) => ({
+  ...weights,
+  [signal.name]: signal.defaultWeight
+}), {});
+
+// Parse "interests=2,freshness=0.5" into weights on top of the defaults.
+// Throws on unknown signals or invalid numbers.
+const parseWeights = (spec, base = DEFAULT_WEIGHTS) => {
+  const weights = { ...base };
+  if (!spec) return weights;
+
+  spec.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, rawWeight] = part.split('=').map(value => value.trim());
+    const weight = Number(rawWeight);
+    if (!(name in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown compatibility signal "${name}"`);
+    }
+    if (rawWeight === undefined || rawWeight === '' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight for "${name}"`);
+    }
+    weights[name] = weight;
+  });
+
+  return weights;
+};
+
+// Weights from COMPATIBILITY_WEIGHTS, falling back to the defaults when the
+// setting is malformed
+const loadConfiguredWeights = () => {
+  try {
+    return parseWeights(process.env.COMPATIBILITY_WEIGHTS);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring COMPATIBILITY_WEIGHTS: ${error.message}`);
+    return { ...DEFAULT_WEIGHTS };
+  }
+};
+
+const configuredWeights = loadConfiguredWeights();
+
+// Load what the signals need for the whole deck in one go: distances and
+// each candidate's swipe counts
+const buildContext = async (viewer, candidates, now) => {
+  const distances = new Map();
+  candidates.forEach(candidate => {
+    const km = distanceBetween(viewer.location, candidate.location);
+    if (km !== null) distances.set(candidate._id.toString(), km);
+  });
+
+  const likeStats = new Map(candidates.map(candidate => [
+    candidate._id.toString(),
+    { likes: 0, passes: 0, likesViewer: false }
+  ]));
+  const stats = await Swipe.aggregate([
+    { $match: { swiper: { $in: candidates.map(candidate => candidate._id) } } },
+    {
+      $group: {
+        _id: '$swiper',
+        likes: { $sum: { $cond: [{ $eq: ['$action', 'like'] }, 1, 0] } },
+        passes: { $sum: { $cond: [{ $eq: ['$action', 'pass'] }, 1, 0] } },
+        likesViewer: { $max: { $and: [{ $eq: ['$target', viewer._id] }, { $eq: ['$action', 'like'] }] } }
+      }
+    }
+  ]);
+  stats.forEach(({ _id, ...counts }) => likeStats.set(_id.toString(), counts));
+
+  return { now, distances, likeStats };
+};
+
+// Weighted average of the signals that apply, with each signal's part in it
+const scoreCandidate = (candidate, viewer, context, weights) => {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  const signals = SIGNALS.map(signal => {
+    const weight = weights[signal.name] || 0;
+    const result = signal.score(candidate, viewer, context);
+    if (!result) {
+      return { name: signal.name, weight, value: null, reason: 'Not enough information' };
+    }
+    if (weight > 0) {
+      weightedSum += weight * result.value;
+      totalWeight += weight;
+    }
+    return { name: signal.name, weight, value: result.value, reason: result.reason };
+  });
+
+  const score = totalWeight > 0 ? weightedSum / totalWeight : 0;
+
+  return {
+    user: candidate,
+    distance: context.distances.get(candidate._id.toString()) ?? null,
+    score,
+    signals: signals.map(signal => ({
+      ...signal,
+      // Share of the final score this signal accounts for
+      contribution: signal.value === null || totalWeight === 0 ? 0 : (signal.weight * signal.value) / totalWeight
+    }))
+  };
+};
+
+// Rank candidates for a viewer, best first. Ties go to the most recently
+// active. `weights` defaults to the configured ones.
+const rankCandidates = async (viewer, candidates, { weights = configuredWeights, now = new Date() } = {}) => {
+  const context = await buildContext(viewer, candidates, now);
+
+  return candidates
+    .map(candidate => scoreCandidate(candidate, viewer, context, weights))
+    .sort((a, b) => b.score - a.score || (b.user.lastActive || 0) - (a.user.lastActive || 0));
+};
+
+module.exports = {
+  SIGNALS,
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  getWeights: () => ({ ...configuredWeights }),
+  rankCandidates
+};
@@ -0,0 +1,139 @@
+// Each signal rates one aspect of how good a candidate is for the viewer.
+// `score(candidate, viewer, context)` returns { value, reason } with value
+// between 0 and 1, or null when the signal doesn't apply (missing data), in
+// which case it is left out of the weighted average. `context` holds what was
+// loaded for the whole deck at once: { now, distances, likeStats }.
+// To add a signal, append it here with a default weight.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Activity older than this counts half as much
+const FRESHNESS_HALF_LIFE_HOURS = 72;
+
+// Swipes a candidate needs before their own like rate outweighs the 50% prior
+const LIKE_RATE_PRIOR_SWIPES = 10;
+
+const clamp = value => Math.min(Math.max(value, 0), 1);
+
+const normalizeCourse = course => (course || '').trim().toLowerCase();
+
+// Significant words of a course name ("Computer Science" -> computer, science)
+const courseWords = course => new Set(normalizeCourse(course).split(/[^a-z0-9]+/).filter(word => word.length >= 4));
+
+const distance = {
+  name: 'distance',
+  description: 'Closer is better, relative to your maximum distance',
+  defaultWeight: 1,
+  score: (candidate, viewer, { distances }) => {
+    const km = distances.get(candidate._id.toString());
+    if (km === undefined) return null;
+    const maxDistance = viewer.preferences?.maxDistance || 50;
+    return { value: clamp(1 - km / maxDistance), reason: `${Math.round(km)} km away` };
+  }
+};
+
+const course = {
+  name: 'course',
+  description: 'Same course, or one sharing a subject word',
+  defaultWeight: 1,
+  score: (candidate, viewer) => {
+    if (!candidate.course || !viewer.course) return null;
+    if (normalizeCourse(candidate.course) === normalizeCourse(viewer.course)) {
+      return { value: 1, reason: 'Same course' };
+    }
+    const viewerWords = courseWords(viewer.course);
+    const shared = [...courseWords(candidate.course)].filter(word => viewerWords.has(word));
+    return shared.length > 0
+      ? { value: 0.5, reason: `Related course (${shared.join(', ')})` }
+      : { value: 0, reason: 'Different course' };
+  }
+};
+
+const year = {
+  name: 'year',
+  description: 'Same or nearby year of study',
+  defaultWeight: 0.5,
+  score: (candidate, viewer) => {
+    if (!candidate.year || !viewer.year) return null;
+    const gap = Math.abs(candidate.year - viewer.year);
+    return { value: clamp(1 - gap / 3), reason: gap === 0 ? 'Same year' : `${gap} year(s) apart` };
+  }
+};
+
+const interests = {
+  name: 'interests',
+  description: 'Share of interests in common (Jaccard overlap)',
+  defaultWeight: 1.5,
+  score: (candidate, viewer) => {
+    if (!candidate.interests?.length || !viewer.interests?.length) return null;
+    const viewerInterests = new Set(viewer.interests);
+    const shared = candidate.interests.filter(interest => viewerInterests.has(interest));
+    const union = new Set([...viewer.interests, ...candidate.interests]).size;
+    return {
+      value: shared.length / union,
+      reason: shared.length > 0 ? `Shared: ${shared.join(', ')}` : 'No shared interests'
+    };
+  }
+};
+
+const completeness = {
+  name: 'completeness',
+  description: 'Photos, bio, year and interests filled in',
+  defaultWeight: 0.75,
+  score: (candidate) => {
+    const parts = [
+      [0.4, Math.min((candidate.photos?.length || 0) / 3, 1)],
+      [0.3, Math.min((candidate.bio?.length || 0) / 150, 1)],
+      [0.1, candidate.year ? 1 : 0],
+      [0.2, Math.min((candidate.interests?.length || 0) / 3, 1)]
+    ];
+    const value = parts.reduce((sum, [weight, part]) => sum + weight * part, 0);
+    return { value, reason: `${candidate.photos?.length || 0} photo(s), ${candidate.bio?.length || 0} character bio` };
+  }
+};
+
+const reciprocal = {
+  name: 'reciprocal',
+  description: 'Likelihood the candidate likes you back',
+  defaultWeight: 1.25,
+  score: (candidate, viewer, { likeStats }) => {
+    const stats = likeStats.get(candidate._id.toString());
+    if (!stats) return null;
+    if (stats.likesViewer) {
+      return { value: 1, reason: 'Already liked you' };
+    }
+
+    // Their like rate, pulled towards 50% while they have few swipes
+    const swipes = stats.likes + stats.passes;
+    let value = (stats.likes + LIKE_RATE_PRIOR_SWIPES * 0.5) / (swipes + LIKE_RATE_PRIOR_SWIPES);
+    let reason = `Likes ${stats.likes} of ${swipes} profiles`;
+
+    // Less likely when the viewer is outside the age range they look for
+    const ageRange = candidate.preferences?.ageRange;
+    if (ageRange && viewer.age && (viewer.age < ageRange.min || viewer.age > ageRange.max)) {
+      value /= 2;
+      reason += ', you are outside their age range';
+    }
+
+    return { value, reason };
+  }
+};
+
+const freshness = {
+  name: 'freshness',
+  description: 'Recently active users are more likely to reply',
+  defaultWeight: 1,
+  score: (candidate, viewer, { now }) => {
+    if (candidate.isOnline) {
+      return { value: 1, reason: 'Online now' };
+    }
+    if (!candidate.lastActive) return null;
+    const hours = Math.max(now - candidate.lastActive, 0) / HOUR_MS;
+    return {
+      value: Math.pow(0.5, hours / FRESHNESS_HALF_LIFE_HOURS),
+      reason: `Active ${Math.round(hours)} hour(s) ago`
+    };
+  }
+};
+
+module.exports = [distance, course, year, interests, completeness, reciprocal, freshness];
@@ -0,0 +1,63 @@
+const User = require('../models/User');
+const { isValidTimeZone, localDateKey, nextLocalMidnight } = require('./timezones');
+
+// Per-user allowances that refill at local midnight. Usage is stored on the
+// user as `<field>: { day: 'YYYY-MM-DD', count }`, where day is the user's
+// local date of their last use, so a new day starts from zero.
+
+const userTimeZone = user => (isValidTimeZone(user.timezone) ? user.timezone : 'UTC');
+
+// How much of the quota is left today and when it refills
+const getQuota = (user, field, limit, now = new Date()) => {
+  const timeZone = userTimeZone(user);
+  const usage = user[field];
+  const used = usage?.day === localDateKey(now, timeZone) ? usage.count : 0;
+
+  return {
+    limit,
+    remaining: Math.max(limit - used, 0),
+    resetsAt: nextLocalMidnight(now, timeZone)
+  };
+};
+
+// Use one unit of the quota if any is left. Atomic, so concurrent requests
+// can't go over the limit. Resolves to true when a unit was used.
+const consumeQuota = async (user, field, limit, now = new Date()) => {
+  if (limit < 1) return false;
+  const today = localDateKey(now, userTimeZone(user));
+
+  const useToday = async () => (await User.updateOne(
+    { _id: user._id, [`${field}.day`]: today, [`${field}.count`]: { $lt: limit } },
+    { $inc: { [`${field}.count`]: 1 } }
+  )).modifiedCount > 0;
+
+  // Already used today and some left
+  if (await useToday()) return true;
+
+  // First use today
+  const newDay = await User.updateOne(
+    { _id: user._id, [`${field}.day`]: { $ne: today } },
+    { $set: { [`${field}.day`]: today, [`${field}.count`]: 1 } }
+  );
+  if (newDay.modifiedCount > 0) return true;
+
+  // A concurrent request started the day first
+  return useToday();
+};
+
+// Give back a unit taken by consumeQuota at `usedAt`, e.g. when the action
+// didn't go through. Units from an earlier day are gone already.
+const refundQuota = (user, field, usedAt = new Date()) => User.updateOne(
+  {
+    _id: user._id,
+    [`${field}.day`]: localDateKey(usedAt, userTimeZone(user)),
+    [`${field}.count`]: { $gt: 0 }
+  },
+  { $inc: { [`${field}.count`]: -1 } }
+);
+
+module.exports = {
+  getQuota,
+  consumeQuota,
+  refundQuota
+};
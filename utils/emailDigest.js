@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Match = require('../models/Match');
+const Swipe = require('../models/Swipe');
+const mailer = require('./mailer');
+const { getUnreadSummary, countsTowardsTotal } = require('./inbox');
+
+// What a digest can report; each can be unsubscribed from separately
+const DIGEST_CATEGORIES = ['messages', 'matches', 'likes'];
+
+// Only users away at least this long get a digest...
+const DIGEST_INACTIVE_DAYS = parseInt(process.env.DIGEST_INACTIVE_DAYS, 10) || 3;
+// ...and at most one every this many days
+const DIGEST_MIN_INTERVAL_DAYS = parseInt(process.env.DIGEST_MIN_INTERVAL_DAYS, 10) || 7;
+// Users considered per job run, so a large backlog is spread over several runs
+const DIGEST_BATCH_SIZE = parseInt(process.env.DIGEST_BATCH_SIZE, 10) || 200;
+
+const MAX_LISTED_CHATS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const appUrl = (pathAndQuery) => `${process.env.BASE_URL || 'http://localhost:3000'}${pathAndQuery}`;
+
+// Unsubscribe links must work without logging in, so they carry an HMAC of
+// the user id instead of a stored token
+const unsubscribeToken = (userId) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`email-digest-unsubscribe:${userId}`)
+  .digest('hex');
+
+const isValidUnsubscribeToken = (userId, token) => {
+  const expected = Buffer.from(unsubscribeToken(userId));
+  const given = Buffer.from(String(token || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const unsubscribeUrls = (userId) => {
+  const token = unsubscribeToken(userId);
+  const link = (category) => appUrl(`/unsubscribe-digest?user=${userId}&category=${category}&token=${token}`);
+
+  return {
+    ...DIGEST_CATEGORIES.reduce((urls, category) => ({ ...urls, [category]: link(category) }), {}),
+    all: link('all'),
+    // Mail clients POST here directly (List-Unsubscribe-Post)
+    oneClick: appUrl(`/api/notifications/digest/unsubscribe?user=${userId}&category=all&token=${token}`)
+  };
+};
+
+// Turn off one digest category, or digests altogether with 'all'
+const unsubscribeFromDigest = async (userId, category) => {
+  const field = category === 'all' ? 'emailDigest.enabled' : `emailDigest.${category}`;
+  const result = await User.updateOne({ _id: userId }, { $set: { [field]: false } });
+  return result.matchedCount > 0;
+};
+
+// Gather what the user missed. Returns null when there is nothing new since
+// the last digest (or since they were last active) in the categories they get.
+const buildDigest = async (user) => {
+  const since = new Date(Math.max(user.lastActive?.getTime() || 0, user.emailDigest.lastSentAt?.getTime() || 0));
+  const wants = category => user.emailDigest[category] !== false;
+
+  // Unread conversations, left out when muted or archived
+  const { chats, counts } = await getUnreadSummary(user._id);
+  const unread = chats.filter(chat => countsTowardsTotal(chat, user._id) && counts.get(chat._id.toString()) > 0);
+  await Chat.populate(unread, { path: 'participants', select: 'firstName' });
+  const unreadChats = unread
+    .map(chat => ({
+      name: chat.participants.find(p => p && !p._id.equals(user._id))?.firstName || 'Someone',
+      count: counts.get(chat._id.toString())
+    }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_LISTED_CHATS);
+  // Only worth a digest if one of those messages arrived since then
+  const hasNewMessages = unread.length > 0 && !!(await Message.exists({
+    chat: { $in: unread.map(chat => chat._id) },
+    sender: { $ne: user._id },
+    createdAt: { $gt: since }
+  }));
+
+  // Matches made since then that nobody has written to yet
+  const matches = await Match.forUser(user._id).where('createdAt').gt(since).select('user1 user2');
+  const conversations = await Chat.find({ participants: user._id, 'lastMessage.sender': { $ne: null } }).select('participants');
+  const talkedTo = new Set(conversations.flatMap(chat => chat.participants.map(String)));
+  const newMatches = matches.filter(match => !talkedTo.has(match.otherUser(user._id).toString())).length;
+
+  // Likes received since then that the user hasn't answered with a swipe
+  const likers = await Swipe.find({ target: user._id, action: 'like', createdAt: { $gt: since } }).distinct('swiper');
+  const answered = await Swipe.countDocuments({ swiper: user._id, target: { $in: likers } });
+  const newLikes = likers.length - answered;
+
+  const digest = {
+    unreadChats: wants('messages') && hasNewMessages ? unreadChats : [],
+    newMatches: wants('matches') ? newMatches : 0,
+    newLikes: wants('likes') ? newLikes : 0
+  };
+
+  if (digest.unreadChats.length === 0 && digest.newMatches === 0 && digest.newLikes === 0) {
+    return null;
+  }
+  return digest;
+};
+
+// Email a digest to inactive users who have something waiting (run by the
+// jobs scheduler). Returns how many digests were queued.
+const sendEmailDigests = async () => {
+  const now = Date.now();
+  const users = await User.find({
+    isEmailVerified: true,
+    isOnline: { $ne: true },
+    deletionScheduledFor: null,
+    'emailDigest.enabled': { $ne: false },
+    lastActive: { $lte: new Date(now - DIGEST_INACTIVE_DAYS * DAY_MS) },
+    $and: [
+      {
+        $or: [
+          { 'emailDigest.lastSentAt': null },
+          { 'emailDigest.lastSentAt': { $lte: new Date(now - DIGEST_MIN_INTERVAL_DAYS * DAY_MS) } }
+        ]
+      },
+      // Users with nothing new are looked at again the next day
+      {
+        $or: [
+          { 'emailDigest.lastCheckedAt': null },
+          { 'emailDigest.lastCheckedAt': { $lte: new Date(now - DAY_MS) } }
+        ]
+      }
+    ]
+  })
+    .select('email firstName lastActive emailDigest')
+    .sort({ 'emailDigest.lastCheckedAt': 1 })
+    .limit(DIGEST_BATCH_SIZE);
+
+  let sent = 0;
+  for (const user of users) {
+    try {
+      const digest = await buildDigest(user);
+      if (!digest) {
+        await User.updateOne({ _id: user._id }, { $set: { 'emailDigest.lastCheckedAt': new Date() } });
+        continue;
+      }
+
+      mailer.send('digest', user.email, {
+        firstName: user.firstName,
+        unreadChats: digest.unreadChats,
+        newMatches: digest.newMatches,
+        newLikes: digest.newLikes,
+        appUrl: appUrl('/'),
+        unsubscribe: unsubscribeUrls(user._id)
+      });
+
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          'emailDigest.lastSentAt': new Date(),
+          'emailDigest.lastCheckedAt': new Date()
+        }
+      });
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send digest to ${user._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  DIGEST_CATEGORIES,
+  isValidUnsubscribeToken,
+  unsubscribeFromDigest,
+  buildDigest,
+  sendEmailDigests
+};
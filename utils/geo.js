@@ -0,0 +1,38 @@
+// Haversine distance between two points in kilometers
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Radius of the Earth in kilometers
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const d = R * c; // Distance in kilometers
+  return d;
+};
+
+const deg2rad = (deg) => deg * (Math.PI/180);
+
+// Users start at [0, 0] until they share their location
+const hasLocation = (point) => !!(
+  point &&
+  point.coordinates &&
+  point.coordinates[0] !== 0 &&
+  point.coordinates[1] !== 0
+);
+
+// Distance in kilometers between two GeoJSON points, null unless both are set
+const distanceBetween = (pointA, pointB) => {
+  if (!hasLocation(pointA) || !hasLocation(pointB)) return null;
+  return calculateDistance(
+    pointA.coordinates[1], pointA.coordinates[0],
+    pointB.coordinates[1], pointB.coordinates[0]
+  );
+};
+
+module.exports = {
+  calculateDistance,
+  distanceBetween,
+  hasLocation
+};
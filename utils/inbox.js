@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const realtime = require('../socket/realtime');
+
+// Chat id -> number of messages from the other participant the user has not
+// read yet. Counted from the read markers, so they can never drift.
+const countUnread = async (chats, userId) => {
+  const counts = new Map(chats.map(chat => [chat._id.toString(), 0]));
+  if (chats.length === 0) return counts;
+
+  const unreadRanges = chats.map(chat => {
+    const marker = chat.getReadMarker(userId);
+    return marker?.lastReadMessage
+      ? { chat: chat._id, createdAt: { $gt: marker.lastReadAt } }
+      : { chat: chat._id };
+  });
+
+  const results = await Message.aggregate([
+    { $match: { $or: unreadRanges, sender: { $ne: new mongoose.Types.ObjectId(userId) } } },
+    { $group: { _id: '$chat', count: { $sum: 1 } } }
+  ]);
+
+  results.forEach(result => counts.set(result._id.toString(), result.count));
+  return counts;
+};
+
+// Muted and archived chats keep their own count but stay out of the total
+const countsTowardsTotal = (chat, userId) => !chat.isMutedFor(userId) && !chat.getSettings(userId)?.archivedAt;
+
+const sumUnread = (chats, counts, userId) => chats
+  .filter(chat => countsTowardsTotal(chat, userId))
+  .reduce((total, chat) => total + counts.get(chat._id.toString()), 0);
+
+// Unread counts for all of a user's active chats plus their overall total.
+// The chats carry what the inbox list shows too (last message, updatedAt).
+const getUnreadSummary = async (userId) => {
+  const chats = await Chat.find({ participants: userId, isActive: true })
+    .select('participants readMarkers participantSettings lastMessage updatedAt');
+  const counts = await countUnread(chats, userId);
+
+  return { chats, counts, totalUnread: sumUnread(chats, counts, userId) };
+};
+
+// Push a chat's new unread count and the new total to each given
+// participant. Failures are only logged: the change itself already happened.
+const notifyUnreadChanged = async (chat, userIds) => {
+  try {
+    for (const userId of userIds) {
+      const { counts, totalUnread } = await getUnreadSummary(userId);
+      realtime.unreadChanged(userId, {
+        chatId: chat._id.toString(),
+        unreadCount: counts.get(chat._id.toString()) || 0,
+        totalUnread
+      });
+    }
+  } catch (error) {
+    console.error('Unread count update error:', error);
+  }
+};
+
+module.exports = {
+  countUnread,
+  countsTowardsTotal,
+  sumUnread,
+  getUnreadSummary,
+  notifyUnreadChanged
+};
@@ -0,0 +1,125 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const realtime = require('../socket/realtime');
+const { withDistance, participantLocations, publishMessage } = require('./chatMessages');
+
+// How long a live location can be shared for, in minutes
+const LIVE_DURATIONS = [15, 30, 60];
+
+class LocationShareError extends Error {}
+
+// Validate coordinates sent by a client
+const parsePosition = ({ latitude, longitude, accuracy } = {}) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new LocationShareError('Invalid coordinates');
+  }
+
+  const acc = Number(accuracy);
+  return {
+    latitude: lat,
+    longitude: lng,
+    accuracy: Number.isFinite(acc) && acc >= 0 ? Math.round(acc) : undefined
+  };
+};
+
+// Send a pin, or start a live share when durationMinutes is given.
+// Returns the message as the sender sees it.
+const shareLocation = async (chat, userId, { durationMinutes, ...position }) => {
+  const coordinates = parsePosition(position);
+  const live = durationMinutes !== undefined && durationMinutes !== null;
+
+  if (live && !LIVE_DURATIONS.includes(Number(durationMinutes))) {
+    throw new LocationShareError(`Live location can be shared for ${LIVE_DURATIONS.join(', ')} minutes`);
+  }
+
+  const now = new Date();
+  const message = await Message.create({
+    chat: chat._id,
+    sender: userId,
+    messageType: 'location',
+    location: {
+      ...coordinates,
+      live,
+      liveUntil: live ? new Date(now.getTime() + Number(durationMinutes) * 60 * 1000) : undefined,
+      lastUpdatedAt: now
+    }
+  });
+
+  await publishMessage(chat, message);
+
+  return withDistance(message, null);
+};
+
+// Load a live share the user is allowed to change
+const findOwnLiveShare = async (messageId, userId) => {
+  const message = await Message.findOne({ _id: messageId, sender: userId, messageType: 'location' });
+  if (!message) {
+    throw new LocationShareError('Location share not found');
+  }
+
+  const chat = await Chat.findOne({ _id: message.chat, participants: userId, isActive: true });
+  if (!chat) {
+    throw new LocationShareError('Location share not found');
+  }
+
+  return { message, chat };
+};
+
+// Move a live share to the sender's new position
+const updateLiveLocation = async (messageId, userId, position) => {
+  const coordinates = parsePosition(position);
+  const { message, chat } = await findOwnLiveShare(messageId, userId);
+
+  if (!message.isLiveLocationActive()) {
+    throw new LocationShareError('Live location sharing has ended');
+  }
+
+  Object.assign(message.location, coordinates, { lastUpdatedAt: new Date() });
+  await message.save();
+
+  const locations = await participantLocations(chat);
+  realtime.liveLocationUpdated(chat, message, id => withDistance(message, locations.get(id)));
+};
+
+const stopLiveLocation = async (messageId, userId) => {
+  const { message, chat } = await findOwnLiveShare(messageId, userId);
+
+  if (message.location.live && !message.location.stoppedAt) {
+    message.location.stoppedAt = new Date();
+    await message.save();
+    realtime.liveLocationStopped(chat, message);
+  }
+};
+
+// Close live shares whose time ran out (run by the jobs scheduler)
+const expireLiveLocations = async () => {
+  const expired = await Message.find({
+    messageType: 'location',
+    'location.live': true,
+    'location.stoppedAt': null,
+    'location.liveUntil': { $lte: new Date() }
+  });
+
+  for (const message of expired) {
+    message.location.stoppedAt = message.location.liveUntil;
+    await message.save();
+
+    const chat = await Chat.findById(message.chat).select('participants');
+    if (chat) {
+      realtime.liveLocationStopped(chat, message);
+    }
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  LIVE_DURATIONS,
+  LocationShareError,
+  shareLocation,
+  updateLiveLocation,
+  stopLiveLocation,
+  expireLiveLocations
+};
@@ -0,0 +1,61 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Failures allowed before backoff starts. IPs get far more room because a
+// whole campus can share one NAT address.
+const LIMITS = {
+  account: { freeAttempts: 5, baseDelayMs: 30 * 1000 },
+  ip: { freeAttempts: 25, baseDelayMs: 30 * 1000 }
+};
+const MAX_LOCK_MS = 60 * 60 * 1000; // 1 hour
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000; // forget failures after a quiet day
+
+const keysFor = (email, ip) => [
+  { type: 'account', key: `account:${String(email).toLowerCase()}` },
+  { type: 'ip', key: `ip:${ip}` }
+];
+
+// Returns the number of seconds until the account or IP may try again, or 0
+const getLockout = async (email, ip) => {
+  const keys = keysFor(email, ip).map(entry => entry.key);
+  const throttles = await LoginThrottle.find({ key: { $in: keys }, lockUntil: { $gt: new Date() } });
+  if (throttles.length === 0) return 0;
+
+  const lockUntil = Math.max(...throttles.map(throttle => throttle.lockUntil.getTime()));
+  return Math.ceil((lockUntil - Date.now()) / 1000);
+};
+
+// Count a failure against both the account and the IP, doubling the
+// lockout with each failure past the free attempts
+const recordFailure = async (email, ip) => {
+  await Promise.all(keysFor(email, ip).map(async ({ type, key }) => {
+    const { freeAttempts, baseDelayMs } = LIMITS[type];
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expiresAt: new Date(Date.now() + COUNTER_TTL_MS) } },
+      { upsert: true, new: true }
+    );
+
+    if (throttle.failures >= freeAttempts) {
+      const delay = Math.min(baseDelayMs * 2 ** (throttle.failures - freeAttempts), MAX_LOCK_MS);
+      throttle.lockUntil = new Date(Date.now() + delay);
+      await throttle.save();
+    }
+  }));
+};
+
+// Drop the failed-login counter kept for an email address
+const clearAccount = async (email) => {
+  await LoginThrottle.deleteOne({ key: `account:${String(email).toLowerCase()}` });
+};
+
+// A successful login clears the account counter. The IP counter is left to
+// expire on its own so one valid account can't reset it for an attacker.
+const recordSuccess = clearAccount;
+
+module.exports = {
+  clearAccount,
+  getLockout,
+  recordFailure,
+  recordSuccess
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Every driver exposes `name` and `send(message)`, where message is
+// { from, to, subject, html, text, template } and send resolves once the
+// message has been handed off (or rejects so the queue can retry).
+
+// Real delivery through an SMTP server
+const createSmtpDriver = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.EMAIL_HOST,
+    port: options.port || process.env.EMAIL_PORT,
+    secure: false,
+    auth: {
+      user: options.user || process.env.EMAIL_USER,
+      pass: options.pass || process.env.EMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const { template, ...mailOptions } = message;
+      return transporter.sendMail(mailOptions);
+    }
+  };
+};
+
+// Writes each message to an outbox directory as .eml (openable in any mail
+// client) plus a .json summary, for development and tests
+const createFileDriver = (options = {}) => {
+  const outboxDir = options.outboxDir || process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    outboxDir,
+    send: async (message) => {
+      const { template, ...mailOptions } = message;
+      const info = await builder.sendMail(mailOptions);
+
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const baseName = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+
+      await fs.promises.writeFile(path.join(outboxDir, `${baseName}.eml`), info.message);
+      await fs.promises.writeFile(path.join(outboxDir, `${baseName}.json`), JSON.stringify({
+        template,
+        from: mailOptions.from,
+        to: mailOptions.to,
+        subject: mailOptions.subject,
+        text: mailOptions.text,
+        html: mailOptions.html,
+        createdAt: new Date().toISOString()
+      }, null, 2));
+
+      return { messageId: info.messageId, file: `${baseName}.eml` };
+    }
+  };
+};
+
+// Discards everything
+const createNoopDriver = () => ({
+  name: 'noop',
+  send: async () => ({ messageId: null })
+});
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  noop: createNoopDriver
+};
+
+// Pick the driver from MAIL_DRIVER, defaulting to SMTP when it is configured
+const createDriver = (name = process.env.MAIL_DRIVER, options) => {
+  const driverName = name || (process.env.EMAIL_HOST ? 'smtp' : 'file');
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown mail driver "${driverName}" (expected ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createDriver,
+  createSmtpDriver,
+  createFileDriver,
+  createNoopDriver
+};
@@ -0,0 +1,99 @@
+const { createDriver } = require('./drivers');
+const { templates } = require('./templates');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+
+// Renders templates and delivers them through a swappable driver. Sending is
+// queued: callers never wait on (or fail because of) the mail server, and
+// failed deliveries are retried with exponential backoff.
+class Mailer {
+  constructor({ driver, from, maxAttempts, baseDelayMs } = {}) {
+    this.driver = driver || createDriver();
+    this.from = from || process.env.EMAIL_FROM || process.env.EMAIL_USER;
+    this.maxAttempts = maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelayMs = baseDelayMs || DEFAULT_BASE_DELAY_MS;
+    this.queue = new Map();
+    this.nextJobId = 1;
+  }
+
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  // Build a message from a named template
+  render(templateName, to, data = {}) {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown email template "${templateName}"`);
+    }
+
+    return {
+      from: this.from,
+      to,
+      template: templateName,
+      ...template(data)
+    };
+  }
+
+  // Queue a templated email for delivery, returns the job id
+  send(templateName, to, data) {
+    const message = this.render(templateName, to, data);
+    const job = {
+      id: this.nextJobId++,
+      message,
+      attempts: 0,
+      lastError: null,
+      timer: null
+    };
+
+    this.queue.set(job.id, job);
+    job.timer = setImmediate(() => this.attempt(job));
+    return job.id;
+  }
+
+  // Send immediately and surface errors to the caller (no queue)
+  async sendNow(templateName, to, data) {
+    return this.driver.send(this.render(templateName, to, data));
+  }
+
+  async attempt(job) {
+    job.attempts++;
+    job.timer = null;
+
+    try {
+      await this.driver.send(job.message);
+      this.queue.delete(job.id);
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= this.maxAttempts) {
+        this.queue.delete(job.id);
+        console.error(`❌ Giving up on "${job.message.template}" email to ${job.message.to} after ${job.attempts} attempts:`, error.message);
+        return;
+      }
+
+      const delay = this.baseDelayMs * 2 ** (job.attempts - 1);
+      console.warn(`⚠️ "${job.message.template}" email to ${job.message.to} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      job.timer = setTimeout(() => this.attempt(job), delay);
+      job.timer.unref();
+    }
+  }
+
+  // Jobs still waiting for delivery
+  pending() {
+    return [...this.queue.values()].map(({ id, message, attempts, lastError }) => ({
+      id,
+      template: message.template,
+      to: message.to,
+      attempts,
+      lastError
+    }));
+  }
+}
+
+// Shared instance used by the routes
+const mailer = new Mailer();
+
+module.exports = mailer;
+module.exports.Mailer = Mailer;
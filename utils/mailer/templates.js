@@ -0,0 +1,163 @@
+// Named email templates. Each takes template data and returns
+// { subject, html, text } so every email has a plain-text alternative.
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML frame matching the app's branding. `links` are small footer
+// links such as unsubscribe options.
+const layout = ({ heading, greetingName, paragraphs, action, footer, links }) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e91e63;">${escapeHtml(heading)}</h2>
+        <p>Hi ${escapeHtml(greetingName)},</p>
+        ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${action ? `<div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(action.url)}" style="background-color: #e91e63; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">${escapeHtml(action.label)}</a>
+        </div>
+        <p>Or copy and paste this link in your browser:</p>
+        <p style="word-break: break-all; color: #666;">${escapeHtml(action.url)}</p>` : ''}
+        ${footer ? `<p>${escapeHtml(footer)}</p>` : ''}
+        <p>Best regards,<br>University Dating App Team</p>
+        ${links ? `<p style="font-size: 12px; color: #999;">${links.map(link => `<a href="${escapeHtml(link.url)}" style="color: #999;">${escapeHtml(link.label)}</a>`).join(' · ')}</p>` : ''}
+      </div>
+    `;
+
+// Plain-text counterpart of the layout
+const plainText = ({ greetingName, paragraphs, action, footer, links }) => [
+  `Hi ${greetingName},`,
+  '',
+  paragraphs.join('\n\n'),
+  ...(action ? ['', `${action.label}: ${action.url}`] : []),
+  ...(footer ? ['', footer] : []),
+  '',
+  'Best regards,',
+  'University Dating App Team',
+  ...(links ? ['', ...links.map(link => `${link.label}: ${link.url}`)] : [])
+].join('\n');
+
+const render = (subject, content) => ({
+  subject,
+  html: layout(content),
+  text: plainText(content)
+});
+
+const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count === 1 ? word : pluralWord}`;
+
+const templates = {
+  verification: ({ firstName, verificationUrl }) => render('Verify Your University Dating App Account', {
+    heading: 'Welcome to University Dating App!',
+    greetingName: firstName,
+    paragraphs: ['Thank you for signing up! Please verify your university email address by clicking the button below:'],
+    action: { label: 'Verify Email', url: verificationUrl },
+    footer: 'This link will expire in 24 hours.'
+  }),
+
+  passwordReset: ({ firstName, resetUrl }) => render('Reset Your University Dating App Password', {
+    heading: 'Password Reset',
+    greetingName: firstName,
+    paragraphs: ['We received a request to reset your password. Click the button below to choose a new one:'],
+    action: { label: 'Reset Password', url: resetUrl },
+    footer: 'This link will expire in 1 hour and can only be used once. If you didn\'t request a reset, you can safely ignore this email.'
+  }),
+
+  emailChangeConfirmNew: ({ firstName, newEmail, confirmUrl }) => render('Confirm Your New Email Address', {
+    heading: 'Confirm Your New Email',
+    greetingName: firstName,
+    paragraphs: [
+      `You asked to change your UniMatch email address to ${newEmail}.`,
+      'Please confirm this address by clicking the button below. We have also sent a confirmation link to your current address, and the change takes effect once both are confirmed.'
+    ],
+    action: { label: 'Confirm New Email', url: confirmUrl },
+    footer: 'This link will expire in 24 hours.'
+  }),
+
+  emailChangeConfirmOld: ({ firstName, newEmail, confirmUrl }) => render('Confirm Your Email Address Change', {
+    heading: 'Email Change Requested',
+    greetingName: firstName,
+    paragraphs: [
+      `Someone (hopefully you) asked to change your UniMatch email address to ${newEmail}.`,
+      'If this was you, confirm the change from this address by clicking the button below.'
+    ],
+    action: { label: 'Approve Change', url: confirmUrl },
+    footer: 'If you didn\'t request this, ignore this email and change your password: the change will not happen without your approval.'
+  }),
+
+  emailChanged: ({ firstName, newEmail, revertUrl }) => render('Your Email Address Was Changed', {
+    heading: 'Email Address Changed',
+    greetingName: firstName,
+    paragraphs: [
+      `Your UniMatch account now uses ${newEmail}. This address will no longer receive emails from us.`,
+      'If you didn\'t make this change, click the button below to undo it and sign out every device.'
+    ],
+    action: { label: 'This Wasn\'t Me', url: revertUrl },
+    footer: 'This link will work for 7 days.'
+  }),
+
+  newDeviceLogin: ({ firstName, device, ip, time, resetUrl }) => render('New Sign-In to Your UniMatch Account', {
+    heading: 'New Device Sign-In',
+    greetingName: firstName,
+    paragraphs: [
+      'Your account was just signed in to from a device we haven\'t seen before:',
+      `Device: ${device}`,
+      `IP address: ${ip}`,
+      `Time: ${time}`,
+      'If this was you, there\'s nothing to do. If not, reset your password right away and log out all devices from your profile.'
+    ],
+    action: { label: 'Secure My Account', url: resetUrl }
+  }),
+
+  // unreadChats: [{ name, count }]; sections with nothing new are left out.
+  // unsubscribe: { messages, matches, likes, all, oneClick } URLs.
+  digest: ({ firstName, unreadChats = [], newMatches = 0, newLikes = 0, appUrl, unsubscribe }) => {
+    const unreadTotal = unreadChats.reduce((total, chat) => total + chat.count, 0);
+    const paragraphs = [];
+    const links = [];
+
+    if (unreadChats.length > 0) {
+      const senders = unreadChats.map(chat => `${chat.name} (${chat.count})`);
+      const from = senders.length > 1
+        ? `${senders.slice(0, -1).join(', ')} and ${senders[senders.length - 1]}`
+        : senders[0];
+      paragraphs.push(`You have ${plural(unreadTotal, 'unread message')} from ${from}.`);
+      links.push({ label: 'No message digests', url: unsubscribe.messages });
+    }
+    if (newMatches > 0) {
+      paragraphs.push(`${plural(newMatches, 'match', 'matches')} ${newMatches === 1 ? 'is' : 'are'} waiting for you to say hi.`);
+      links.push({ label: 'No match digests', url: unsubscribe.matches });
+    }
+    if (newLikes > 0) {
+      paragraphs.push(`You have ${plural(newLikes, 'new like')}! Open UniMatch to find out who.`);
+      links.push({ label: 'No like digests', url: unsubscribe.likes });
+    }
+    links.push({ label: 'Unsubscribe from all digests', url: unsubscribe.all });
+
+    const subject = unreadTotal > 0
+      ? `You have ${plural(unreadTotal, 'unread message')} on UniMatch`
+      : 'Here\'s what you missed on UniMatch';
+
+    return {
+      ...render(subject, {
+        heading: 'While you were away',
+        greetingName: firstName,
+        paragraphs,
+        action: { label: 'Open UniMatch', url: appUrl },
+        links
+      }),
+      // One-click unsubscribe in mail clients (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${unsubscribe.oneClick}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+};
+
+module.exports = {
+  templates,
+  render,
+  escapeHtml
+};
@@ -0,0 +1,33 @@
+const path = require('path');
+const sharp = require('sharp');
+
+const PHOTOS_DIR = path.join(__dirname, '..', 'uploads', 'photos');
+
+const BLURRED_SIZE = 240;
+const BLUR_SIGMA = 30;
+
+// File of an uploaded profile photo, null for anything outside uploads/photos
+const profilePhotoPath = (url) => {
+  if (!url || !url.startsWith('/uploads/photos/')) return null;
+  return path.join(PHOTOS_DIR, path.basename(url));
+};
+
+// A small, heavily blurred JPEG of a profile photo, for showing that someone
+// is there without revealing who
+const renderBlurredPhoto = (url) => {
+  const file = profilePhotoPath(url);
+  if (!file) return null;
+
+  return sharp(file)
+    .rotate()
+    .resize(BLURRED_SIZE, BLURRED_SIZE, { fit: 'cover' })
+    .blur(BLUR_SIGMA)
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 60 })
+    .toBuffer();
+};
+
+module.exports = {
+  profilePhotoPath,
+  renderBlurredPhoto
+};
@@ -0,0 +1,78 @@
+const webpush = require('web-push');
+
+// Every driver exposes `name` and `send(subscription, payload, options)`,
+// where subscription is { endpoint, keys: { p256dh, auth } }, payload is a
+// JSON-serialisable object and options is { ttl, urgency, topic }. send
+// resolves with { statusCode } or rejects with an error carrying the push
+// service's `statusCode` (404/410 mean the subscription is gone).
+
+// Real delivery through the browser's push service, signed with VAPID keys.
+// web-push encrypts the payload and builds the request; it is sent with fetch
+// so plain-http endpoints (such as scripts/push-stub-server.js) work too.
+const createWebPushDriver = (options = {}) => {
+  const vapidDetails = {
+    subject: options.subject || process.env.VAPID_SUBJECT ||
+      `mailto:${process.env.EMAIL_FROM || process.env.EMAIL_USER || 'admin@localhost'}`,
+    publicKey: options.publicKey || process.env.VAPID_PUBLIC_KEY,
+    privateKey: options.privateKey || process.env.VAPID_PRIVATE_KEY
+  };
+
+  if (!vapidDetails.publicKey || !vapidDetails.privateKey) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are required for web push (run npm run vapid:generate)');
+  }
+
+  return {
+    name: 'webpush',
+    publicKey: vapidDetails.publicKey,
+    send: async (subscription, payload, { ttl, urgency, topic } = {}) => {
+      const request = webpush.generateRequestDetails(subscription, JSON.stringify(payload), {
+        vapidDetails,
+        TTL: ttl,
+        urgency,
+        topic
+      });
+
+      const response = await fetch(request.endpoint, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Push service responded ${response.status}: ${await response.text()}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+
+      return { statusCode: response.status };
+    }
+  };
+};
+
+// Discards everything; used when no VAPID keys are configured
+const createNoopDriver = () => ({
+  name: 'noop',
+  publicKey: null,
+  send: async () => ({ statusCode: null })
+});
+
+const drivers = {
+  webpush: createWebPushDriver,
+  noop: createNoopDriver
+};
+
+// Pick the driver from PUSH_DRIVER, defaulting to web push when keys are set
+const createDriver = (name = process.env.PUSH_DRIVER, options) => {
+  const driverName = name || (process.env.VAPID_PUBLIC_KEY ? 'webpush' : 'noop');
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown push driver "${driverName}" (expected ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createDriver,
+  createWebPushDriver,
+  createNoopDriver
+};
@@ -0,0 +1,98 @@
+const PushSubscription = require('../../models/PushSubscription');
+const User = require('../../models/User');
+const presence = require('../../socket/presence');
+const { createDriver } = require('./drivers');
+
+// Notification kinds users can switch off in their preferences
+const CATEGORIES = ['messages', 'matches', 'likes'];
+
+// Push services keep undelivered notifications for this long (seconds)
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// Give up on a subscription after this many failures in a row
+const MAX_FAILURES = 5;
+
+// Sends Web Push notifications through a swappable driver, honouring each
+// user's notification preferences and quiet hours. Callers don't wait on the
+// push services: `notify` never throws, failures are logged.
+class PushNotifier {
+  constructor({ driver } = {}) {
+    this.driver = driver || createDriver();
+  }
+
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  // The VAPID public key browsers subscribe with, or null when push is off
+  get publicKey() {
+    return this.driver.publicKey || null;
+  }
+
+  // Deliver a notification to every live subscription of a user, dropping
+  // the ones the push service reports as gone. Returns how many got it.
+  async sendToUser(userId, notification, options = {}) {
+    const subscriptions = await PushSubscription.find({ user: userId }).populate('session', 'revokedAt expiresAt');
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+      // The device was logged out
+      if (subscription.session && (subscription.session.revokedAt || subscription.session.expiresAt < new Date())) {
+        await subscription.deleteOne();
+        continue;
+      }
+
+      try {
+        await this.driver.send(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          notification,
+          { ttl: DEFAULT_TTL, ...options }
+        );
+        subscription.lastSuccessAt = new Date();
+        subscription.failureCount = 0;
+        await subscription.save();
+        delivered++;
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410 || subscription.failureCount + 1 >= MAX_FAILURES) {
+          await subscription.deleteOne();
+        } else {
+          subscription.failureCount += 1;
+          await subscription.save();
+        }
+        console.warn(`⚠️ Push to ${subscription.endpoint} failed:`, error.message);
+      }
+    }
+
+    return delivered;
+  }
+
+  // Send a notification of a category unless the user turned it off, is in
+  // their quiet hours or (by default) has the app open, where the socket
+  // events already tell them
+  async notify(userId, category, notification, { skipIfConnected = true, ...options } = {}) {
+    try {
+      if (!CATEGORIES.includes(category)) {
+        throw new Error(`Unknown notification category "${category}"`);
+      }
+      if (this.driver.name === 'noop') return 0;
+      if (skipIfConnected && presence.isConnected(userId)) return 0;
+
+      const user = await User.findById(userId).select('notificationPreferences timezone');
+      if (!user || user.notificationPreferences?.[category] === false || user.isInQuietHours()) {
+        return 0;
+      }
+
+      return await this.sendToUser(userId, { ...notification, category }, options);
+    } catch (error) {
+      console.error('Push notification error:', error);
+      return 0;
+    }
+  }
+}
+
+// Shared instance used by the routes
+const push = new PushNotifier();
+
+module.exports = push;
+module.exports.PushNotifier = PushNotifier;
+module.exports.CATEGORIES = CATEGORIES;
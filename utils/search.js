@@ -0,0 +1,94 @@
+// Helpers for showing message search results. MongoDB's text search finds
+// the messages; this works out which words in each one to highlight.
+
+const SNIPPET_RADIUS = 60;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Letters that don't decompose into a base letter plus an accent
+const LETTER_FOLDS = { ø: 'o', ł: 'l', đ: 'd', ı: 'i', ß: 'ss', æ: 'ae', œ: 'oe' };
+
+// Lowercase and strip accents, remembering where each folded character came
+// from so offsets can be mapped back to the original text
+const fold = (text) => {
+  let folded = '';
+  const origin = [];
+
+  Array.from(text).reduce((index, char) => {
+    const lower = char.toLowerCase();
+    const simplified = LETTER_FOLDS[lower] || lower.normalize('NFD').replace(/\p{M}/gu, '');
+    folded += simplified;
+    for (let i = 0; i < simplified.length; i++) {
+      origin.push(index);
+    }
+    return index + char.length;
+  }, 0);
+
+  return { folded, origin };
+};
+
+// Search terms the way $text reads them: words, without negated ones
+const parseTerms = (query) => {
+  const positive = query.replace(/(^|\s)-\S+/g, ' ');
+  const terms = fold(positive).folded.match(WORD_PATTERN) || [];
+  return [...new Set(terms)];
+};
+
+// Text search is stemmed, so "cafes" finds "café" and "running" finds "run":
+// accept a word sharing a prefix of at least three characters with a term
+const wordMatches = (word, term) => (
+  word.startsWith(term) ||
+  (word.length >= 3 && term.startsWith(word)) ||
+  (term.length > 3 && word.startsWith(term.slice(0, -1)))
+);
+
+// Offsets (into the original text) of every word matching the query
+const findHighlights = (text, query) => {
+  const terms = parseTerms(query);
+  const { folded, origin } = fold(text);
+  const highlights = [];
+
+  for (const match of folded.matchAll(WORD_PATTERN)) {
+    if (!terms.some(term => wordMatches(match[0], term))) continue;
+
+    const start = origin[match.index];
+    const lastOrigin = origin[match.index + match[0].length - 1];
+    const end = lastOrigin + String.fromCodePoint(text.codePointAt(lastOrigin)).length;
+    highlights.push({ start, length: end - start });
+  }
+
+  return highlights;
+};
+
+// A short excerpt around the first match, with highlight offsets relative to it
+const buildSnippet = (text, query) => {
+  const highlights = findHighlights(text, query);
+  if (text.length <= SNIPPET_RADIUS * 2) {
+    return { snippet: text, highlights };
+  }
+
+  const first = highlights.length > 0 ? highlights[0].start : 0;
+  let start = Math.max(0, first - SNIPPET_RADIUS);
+  let end = Math.min(text.length, start + SNIPPET_RADIUS * 2);
+  start = Math.max(0, end - SNIPPET_RADIUS * 2);
+
+  // Don't cut words in half
+  while (start > 0 && /\S/.test(text[start - 1])) start--;
+  while (end < text.length && /\S/.test(text[end])) end++;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: highlights
+      .filter(h => h.start >= start && h.start + h.length <= end)
+      .map(h => ({ start: h.start + offset, length: h.length }))
+  };
+};
+
+module.exports = {
+  findHighlights,
+  buildSnippet
+};
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Swipe = require('../models/Swipe');
+const Match = require('../models/Match');
+const User = require('../models/User');
+
+const DUPLICATE_KEY = 11000;
+
+// Record a swipe, replacing an earlier one of another kind only with
+// `overwrite`. Returns the action that was there before (null for a new
+// swipe). A swipe of the same kind is left untouched: the filter skips it, so
+// the upsert hits the unique index, as does a concurrent upsert of the pair.
+const recordSwipe = async (swiperId, targetId, action, { overwrite = false, isSuperLike = false } = {}) => {
+  try {
+    const fields = { action, isSuperLike };
+    const previous = await Swipe.findOneAndUpdate(
+      { swiper: swiperId, target: targetId, action: { $ne: action } },
+      overwrite ? { $set: fields } : { $setOnInsert: fields },
+      { upsert: true, new: false }
+    );
+    return previous ? previous.action : null;
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return action;
+  }
+};
+
+// Create the match for a pair unless it exists. `created` is true for
+// exactly one caller, however many race.
+const createMatch = async (userA, userB) => {
+  const filter = Match.pairFilter(userA, userB);
+  try {
+    const result = await Match.updateOne(filter, { $setOnInsert: filter }, { upsert: true });
+    return { created: result.upsertedCount === 1 };
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
+    return { created: false };
+  }
+};
+
+// Which of two users super-liked the other (ids as strings)
+const superLikersBetween = async (userA, userB) => {
+  const ids = await Swipe.find({
+    isSuperLike: true,
+    $or: [{ swiper: userA, target: userB }, { swiper: userB, target: userA }]
+  }).distinct('swiper');
+  return ids.map(String);
+};
+
+// Like (or super-like) a user, matching when they already like back. Each
+// side writes its own like before looking for the other's, so when two likes
+// cross at least one of them sees the other and the match is never missed;
+// the unique index keeps it to a single match if both do.
+//   alreadyLiked - nothing changed
+//   isMatch      - the two users are matched now
+//   matchCreated - this call created the match (send notifications)
+//   superLikedBy - on a match, ids of whichever of the two super-liked
+const likeUser = async (swiperId, targetId, { superLike = false } = {}) => {
+  // A pass can be changed into a like
+  const previous = await recordSwipe(swiperId, targetId, 'like', { overwrite: true, isSuperLike: superLike });
+  if (previous === 'like') {
+    return { alreadyLiked: true, isMatch: await Match.areMatched(swiperId, targetId), matchCreated: false };
+  }
+
+  const likedBack = await Swipe.exists({ swiper: targetId, target: swiperId, action: 'like' });
+  if (!likedBack) {
+    return { alreadyLiked: false, isMatch: false, matchCreated: false };
+  }
+
+  const { created } = await createMatch(swiperId, targetId);
+  return {
+    alreadyLiked: false,
+    isMatch: true,
+    matchCreated: created,
+    superLikedBy: await superLikersBetween(swiperId, targetId)
+  };
+};
+
+// Pass on a user. A like is never turned back into a pass (unmatch instead).
+// Returns the earlier swipe's action, null if there was none.
+const passUser = (swiperId, targetId) => recordSwipe(swiperId, targetId, 'pass');
+
+// End a match. Both likes go too, so the users can meet again in discovery.
+const unmatchUsers = async (userA, userB) => {
+  const { deletedCount } = await Match.deleteOne(Match.pairFilter(userA, userB));
+  await Swipe.deleteMany({
+    $or: [
+      { swiper: userA, target: userB, action: 'like' },
+      { swiper: userB, target: userA, action: 'like' }
+    ]
+  });
+  return deletedCount > 0;
+};
+
+// The user's most recent swipe (a pass changed into a like counts from the
+// like)
+const lastSwipe = swiperId => Swipe.findOne({ swiper: swiperId }).sort({ updatedAt: -1 });
+
+// Delete a swipe unless it changed since it was read. Resolves to false when
+// it did (or is already gone).
+const undoSwipe = async (swipe) => {
+  const { deletedCount } = await Swipe.deleteOne({ _id: swipe._id, action: swipe.action, updatedAt: swipe.updatedAt });
+  return deletedCount > 0;
+};
+
+// Users who super-liked this one, most recent first, as { swiper, at }
+const recentSuperLikes = async (targetId, limit) => {
+  const swipes = await Swipe.find({ target: targetId, action: 'like', isSuperLike: true })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .select('swiper updatedAt');
+  return swipes.map(swipe => ({ swiper: swipe.swiper, at: swipe.updatedAt }));
+};
+
+// Likes the user received and hasn't answered with a swipe yet, from
+// accounts that aren't being deleted
+const pendingLikesPipeline = (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+  return [
+    { $match: { target: id, action: 'like' } },
+    {
+      $lookup: {
+        from: Swipe.collection.name,
+        let: { liker: '$swiper' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$swiper', id] }, { $eq: ['$target', '$$liker'] }] } } },
+          { $limit: 1 },
+          { $project: { _id: 1 } }
+        ],
+        as: 'answer'
+      }
+    },
+    { $match: { answer: { $size: 0 } } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'swiper',
+        foreignField: '_id',
+        pipeline: [{ $project: { deletionScheduledFor: 1 } }],
+        as: 'liker'
+      }
+    },
+    { $match: { 'liker.0': { $exists: true }, 'liker.deletionScheduledFor': null } }
+  ];
+};
+
+// A page of pending likes, super-likes first and then the most recent, with
+// the total count. Items are { _id, swiper, isSuperLike, updatedAt }.
+const pendingLikes = async (userId, { skip = 0, limit = 20 } = {}) => {
+  const [result] = await Swipe.aggregate([
+    ...pendingLikesPipeline(userId),
+    {
+      $facet: {
+        likes: [
+          { $sort: { isSuperLike: -1, updatedAt: -1, _id: -1 } },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: { swiper: 1, isSuperLike: 1, updatedAt: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return { likes: result.likes, total: result.total[0]?.count || 0 };
+};
+
+// Which of the given users the swiper has already swiped on
+const swipedTargetIds = async (swiperId, targetIds) => {
+  const ids = await Swipe.find({ swiper: swiperId, target: { $in: targetIds } }).distinct('target');
+  return new Set(ids.map(String));
+};
+
+module.exports = {
+  likeUser,
+  passUser,
+  unmatchUsers,
+  lastSwipe,
+  undoSwipe,
+  recentSuperLikes,
+  pendingLikes,
+  swipedTargetIds
+};
@@ -0,0 +1,67 @@
+// Wall-clock helpers for per-user time zones (IANA names reported by the browser)
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes since local midnight in the given time zone
+const localMinutesOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return value('hour') * 60 + value('minute');
+};
+
+// Local calendar date as "YYYY-MM-DD"
+const localDateKey = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// The next local midnight, to the minute (a DST change that day can shift it
+// by the size of the change)
+const nextLocalMidnight = (date, timeZone) => {
+  const midnight = new Date(date.getTime() + (24 * 60 - localMinutesOfDay(date, timeZone)) * 60 * 1000);
+  midnight.setUTCSeconds(0, 0);
+  return midnight;
+};
+
+// "HH:MM" -> minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check if a local time falls in a daily window such as 22:00-07:00, which
+// may wrap past midnight. The start is included, the end is not.
+const isWithinDailyWindow = (date, timeZone, start, end) => {
+  const now = localMinutesOfDay(date, timeZone);
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+
+  return from <= to
+    ? now >= from && now < to
+    : now >= from || now < to;
+};
+
+module.exports = {
+  isValidTimeZone,
+  localMinutesOfDay,
+  localDateKey,
+  nextLocalMidnight,
+  parseTimeOfDay,
+  isWithinDailyWindow
+};
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Random URL-safe token for email links
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash a token so only the emailed copy can be used
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = { generateToken, hashToken };
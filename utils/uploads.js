@@ -0,0 +1,22 @@
+const path = require('path');
+
+// Limits shared by every image upload (profile photos, chat images)
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB limit
+const ALLOWED_IMAGE_TYPES = /jpeg|jpg|png|gif|webp/;
+
+// multer fileFilter accepting only images, checked by extension and mimetype
+const imageFileFilter = (req, file, cb) => {
+  const extname = ALLOWED_IMAGE_TYPES.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = ALLOWED_IMAGE_TYPES.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed'));
+  }
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  imageFileFilter
+};